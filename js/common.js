@@ -12,52 +12,244 @@ var PHP_NET = {};
 
 PHP_NET.HEADER_HEIGHT = 64;
 
-Mousetrap.bind('up up down down left right left right b a enter', function () {
-    $(".navbar__brand img").attr("src", "/images/php_konami.gif");
-    window.scrollTo(0, 0);
-});
-Mousetrap.bind("?", function () {
-    $("#trick").slideToggle();
-});
-Mousetrap.bind("esc", function () {
-    $("#trick").slideUp();
-    $("#goto").slideUp();
+/* {{{ Keyboard shortcuts */
+/**
+ * Documented keyboard shortcuts are registered here, so that the help opened
+ * with "?" and the settings on my.php can list them all.
+ *
+ * A shortcut has:
+ * - id: a stable name, under which remapped keys are stored
+ * - keys: a Mousetrap key sequence, such as "g s" or "ctrl+k"
+ * - description: what it does, as listed in the help
+ * - scope: "global" on every page, "manual" on manual pages, or "modal" in
+ *   dialogs such as the search modal
+ * - action: the callback, left out for the keys of dialogs, which handle them
+ *   themselves and cannot be remapped
+ */
+PHP_NET.shortcuts = [];
 
-    $("html").off("keydown");
-    $("html").off("keypress");
-});
-/*
-Mousetrap.bind("j", function() {
-    var n = window.pageYOffset + 20;
-    $.scrollTo(n, 10);
-});
-Mousetrap.bind("k", function() {
-    var n = window.pageYOffset - 20;
-    $.scrollTo(n, 10);
+PHP_NET.SHORTCUT_SCOPES = {
+    global: 'Everywhere',
+    manual: 'Manual pages',
+    modal: 'Dialogs'
+};
+
+// Stored as {enabled: boolean, keys: {<id>: string|null}}, where null turns a
+// shortcut off.
+var SHORTCUT_SETTINGS_KEY = 'shortcuts';
+
+function readShortcutSettings() {
+    var settings = null;
+    try {
+        settings = JSON.parse(window.localStorage.getItem(SHORTCUT_SETTINGS_KEY));
+    } catch (e) {
+        // Storage is unavailable, the defaults apply.
+    }
+    return {
+        enabled: !settings || settings.enabled !== false,
+        keys: (settings && settings.keys) || {}
+    };
+}
+
+PHP_NET.shortcutSettings = readShortcutSettings();
+
+function isManualPage() {
+    return document.body.classList.contains('docs');
+}
+
+/**
+ * The keys a shortcut is bound to with the user's settings, null when it is
+ * turned off.
+ */
+function getShortcutKeys(shortcut) {
+    var settings = PHP_NET.shortcutSettings;
+    if (!shortcut.action) {
+        return shortcut.keys;
+    }
+    if (!settings.enabled) {
+        return null;
+    }
+    return shortcut.id in settings.keys ? settings.keys[shortcut.id] : shortcut.keys;
+}
+
+function bindShortcut(shortcut) {
+    var keys = getShortcutKeys(shortcut);
+    if (!shortcut.action || !keys || (shortcut.scope === 'manual' && !isManualPage())) {
+        return;
+    }
+    Mousetrap.bind(keys, shortcut.action);
+    shortcut.boundKeys = keys;
+}
+
+function registerShortcut(shortcut) {
+    PHP_NET.shortcuts.push(shortcut);
+    bindShortcut(shortcut);
+}
+
+/**
+ * Store the user's settings and rebind the shortcuts with them.
+ */
+function saveShortcutSettings(settings) {
+    PHP_NET.shortcuts.forEach(function (shortcut) {
+        if (shortcut.boundKeys) {
+            Mousetrap.unbind(shortcut.boundKeys);
+            shortcut.boundKeys = null;
+        }
+    });
+    PHP_NET.shortcutSettings = settings;
+    PHP_NET.shortcuts.forEach(bindShortcut);
+
+    try {
+        window.localStorage.setItem(SHORTCUT_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // The settings then only last until the page is left.
+    }
+}
+
+/**
+ * Render a key sequence as <kbd> elements, one per key press.
+ */
+function formatShortcutKeys(keys) {
+    var nodes = [];
+    keys.split(' ').forEach(function (key, index) {
+        if (index) {
+            nodes.push(document.createTextNode(' '));
+        }
+        nodes.push($('<kbd>').text(key)[0]);
+    });
+    return nodes;
+}
+
+/**
+ * List the shortcuts that apply to the current page with the keys they are
+ * bound to, grouped by scope.
+ */
+function createShortcutHelp() {
+    return Object.keys(PHP_NET.SHORTCUT_SCOPES).filter(function (scope) {
+        return scope !== 'manual' || isManualPage();
+    }).map(function (scope) {
+        var list = $('<dl class="shortcuts-help">');
+        list.append($('<dt>').text('Keyboard Shortcuts: ' + PHP_NET.SHORTCUT_SCOPES[scope]));
+        PHP_NET.shortcuts.forEach(function (shortcut) {
+            var keys = getShortcutKeys(shortcut);
+            if (shortcut.scope === scope && keys) {
+                list.append(
+                    $('<dt>').append(formatShortcutKeys(keys)),
+                    $('<dd>').text(shortcut.description)
+                );
+            }
+        });
+        if (scope === 'global') {
+            list.append($('<dd>').append(
+                $('<a href="/my.php#keyboard-shortcuts">').text('Change keyboard shortcuts')
+            ));
+        }
+        return list;
+    });
+}
+
+var shortcutHelpOpener = null;
+
+function hideShortcutHelp() {
+    var help = $('#trick');
+    if (!help.is(':visible')) {
+        return;
+    }
+    help.slideUp();
+    if (shortcutHelpOpener) {
+        shortcutHelpOpener.focus();
+        shortcutHelpOpener = null;
+    }
+}
+
+function toggleShortcutHelp() {
+    var help = $('#trick');
+    if (help.is(':visible')) {
+        hideShortcutHelp();
+        return;
+    }
+    // Generated on every opening, as the keys may have been changed.
+    help.find('.shortcuts-help').remove();
+    help.children('div').append(createShortcutHelp());
+    shortcutHelpOpener = document.activeElement;
+    help.attr('tabindex', '-1').slideDown().focus();
+}
+
+registerShortcut({
+    id: 'help',
+    keys: '?',
+    description: 'This help',
+    scope: 'global',
+    action: toggleShortcutHelp
 });
-*/
-Mousetrap.bind("G", function () {
-    var n = $(document).height();
-    $.scrollTo(n, 10);
+registerShortcut({
+    id: 'bottom',
+    keys: 'G',
+    description: 'Scroll to bottom',
+    scope: 'global',
+    action: function () {
+        var n = $(document).height();
+        $.scrollTo(n, 10);
+    }
 });
-Mousetrap.bind("g h", function () {
-    window.location.href = "/";
+registerShortcut({
+    id: 'top',
+    keys: 'g g',
+    description: 'Scroll to top',
+    scope: 'global',
+    action: function () {
+        $.scrollTo(0, 10);
+    }
 });
-Mousetrap.bind("g g", function () {
-    $.scrollTo(0, 10);
+registerShortcut({
+    id: 'home',
+    keys: 'g h',
+    description: 'Goto homepage',
+    scope: 'global',
+    action: function () {
+        window.location.href = "/";
+    }
 });
-Mousetrap.bind("g p", function () {
-    var link = $("link[rel=prev]").attr("href");
-    if (link) {
-        window.location.href = link;
+registerShortcut({
+    id: 'previous-page',
+    keys: 'g p',
+    description: 'Previous man page',
+    scope: 'manual',
+    action: function () {
+        var link = $("link[rel=prev]").attr("href");
+        if (link) {
+            window.location.href = link;
+        }
     }
 });
-Mousetrap.bind("g n", function () {
-    var link = $("link[rel=next]").attr("href");
-    if (link) {
-        window.location.href = link;
+registerShortcut({
+    id: 'next-page',
+    keys: 'g n',
+    description: 'Next man page',
+    scope: 'manual',
+    action: function () {
+        var link = $("link[rel=next]").attr("href");
+        if (link) {
+            window.location.href = link;
+        }
     }
 });
+
+// Dialogs handle these keys themselves, they are only listed.
+registerShortcut({id: 'close', keys: 'esc', description: 'Close the dialog', scope: 'modal'});
+registerShortcut({id: 'search-down', keys: 'down', description: 'Next search result', scope: 'modal'});
+registerShortcut({id: 'search-up', keys: 'up', description: 'Previous search result', scope: 'modal'});
+registerShortcut({id: 'search-open', keys: 'enter', description: 'Open the search result', scope: 'modal'});
+registerShortcut({id: 'search-pin', keys: 'alt+p', description: 'Pin the search result', scope: 'modal'});
+registerShortcut({id: 'search-forget', keys: 'del', description: 'Remove the recent search result', scope: 'modal'});
+
+Mousetrap.bind("esc", hideShortcutHelp);
+/* }}} */
+
+Mousetrap.bind('up up down down left right left right b a enter', function () {
+    $(".navbar__brand img").attr("src", "/images/php_konami.gif");
+    window.scrollTo(0, 0);
+});
 Mousetrap.bind("b o r k", function () {
     var bork = function (text) {
         var subs = [
@@ -145,133 +337,47 @@ function cycleHeaders(matches, forward) {
         cycle($(matches[forward ? 0 : matches.length - 1]), $(matches[forward ? matches.length - 1 : 0]));
     }
 }
-Mousetrap.bind("j", function () {
-    /* Doc page */
-    var node = $(".layout-menu .current");
-    if (node.length) {
-        cycleMenuItems(node, 1);
-    } else {
-        /* Cycle through headers on normal pages */
-        var matches = $("#layout-content h1, #layout-content h2, #layout-content h3");
-        cycleHeaders(matches, 1);
-    }
-});
-Mousetrap.bind("k", function () {
-    var node = $(".layout-menu .current");
-    if (node.length) {
-        cycleMenuItems(node, 0);
-    } else {
-        /* Cycle through headers on normal pages */
-        var matches = $("#layout-content h1, #layout-content h2, #layout-content h3");
-        cycleHeaders(matches, 0);
-    }
-});
-$.expr[":"].icontains = $.expr.createPseudo(function (arg) {
-    return function (elem) {
-        return $(elem).text().toUpperCase().indexOf(arg.toUpperCase()) >= 0;
-    };
-});
-
-function lookfor(txt) {
-    var retval = $("#layout a:icontains('" + txt + "')");
-    $(retval).each(function (k, val) {
-        $("#goto .results ul").append("<li><a href='" + $(val).attr("href") + "'>" + $(val).text() + "</a></li>");
-    });
-}
-
-function localpage(text) {
-    lookfor(text);
-}
-Mousetrap.bind("g s", function (e) {
-    boogie(e, localpage);
-});
-
-function boogie(e, cb) {
-    cb($("#goto .text").text());
-    $("#goto .results a:first").focus();
-    $("#goto").slideToggle();
-
-    $("html").on("keydown", function (e) {
-        switch (e.which || e.keyCode) {
-            case 8:
-                /* Backspace */
-                var txt = $("#goto .text").text();
-                txt = txt.substring(0, txt.length - 1);
-                $("#goto .text").text(txt);
-                $("#goto .results ul").empty();
-                cb(txt);
-                $("#goto .results a:first").focus();
-                e.preventDefault();
-                break;
-            case 13:
-                /* Enter */
-                Mousetrap.unpause();
-                Mousetrap.trigger('esc');
-                return true;
-            case 9:
-                /* Tab */
-                $(document.activeElement).parent().next().first().focus();
-                break;
-            case 27:
-                Mousetrap.unpause();
-                Mousetrap.trigger('esc');
+registerShortcut({
+    id: 'next',
+    keys: 'j',
+    description: 'Next section or menu item',
+    scope: 'global',
+    action: function () {
+        if (PHP_NET.pageToc) {
+            PHP_NET.pageToc.move(1);
+            return;
         }
-    });
-    $("html").on("keypress", function (e) {
-        if (e.which == 13) {
-            return true;
+        /* Doc page */
+        var node = $(".layout-menu .current");
+        if (node.length) {
+            cycleMenuItems(node, 1);
+        } else {
+            /* Cycle through headers on normal pages */
+            var matches = $("#layout-content h1, #layout-content h2, #layout-content h3");
+            cycleHeaders(matches, 1);
         }
-        e.preventDefault();
-        var letter = String.fromCharCode(e.which || e.keyCode);
-        $("#goto .text").append(letter);
-        var txt = $("#goto .text").text().trim();
-        $("#goto .results ul").empty();
-        cb(txt);
-        $("#goto .results a:first").focus();
-    });
-
-    Mousetrap.pause();
-}
-if (!('contains' in String.prototype)) {
-    String.prototype.contains = function (str, startIndex) {
-        return -1 !== String.prototype.indexOf.call(this, str, startIndex);
-    };
-}
-Mousetrap.bind("g a", function (e) {
-    boogie(e, globalsearch);
-});
-
-function globalsearch(txt) {
-    var term = txt.toLowerCase();
-    if (term.length < 3) {
-        return;
     }
-
-    const language = getLanguage()
-    const key = `search-${language}`;
-    let cache = window.localStorage.getItem(key);
-    cache = JSON.parse(cache);
-
-    if (cache) {
-        for (const node of cache.data) {
-            if (
-                node.description.toLowerCase().contains(term) ||
-                node.name.toLowerCase().contains(term)
-            ) {
-                $("#goto .results ul").append(`
-                    <li>
-                        <a href='/manual/${language}/${node.id}.php'>
-                            ${node.name}: ${node.description}
-                        </a>
-                    </li>`);
-                if ($("#goto .results ul li") > 30) {
-                    return;
-                }
-            }
+});
+registerShortcut({
+    id: 'previous',
+    keys: 'k',
+    description: 'Previous section or menu item',
+    scope: 'global',
+    action: function () {
+        if (PHP_NET.pageToc) {
+            PHP_NET.pageToc.move(0);
+            return;
+        }
+        var node = $(".layout-menu .current");
+        if (node.length) {
+            cycleMenuItems(node, 0);
+        } else {
+            /* Cycle through headers on normal pages */
+            var matches = $("#layout-content h1, #layout-content h2, #layout-content h3");
+            cycleHeaders(matches, 0);
         }
     }
-}
-
+});
 var rotate = 0;
 Mousetrap.bind("r o t a t e enter", function (e) {
     rotate += 90;
@@ -361,39 +467,35 @@ $(document).ready(function () {
     var $docs = $('.docs');
     var $refsect1 = $docs.find('.refentry .refsect1');
     var $docsDivWithId = $docs.find('div[id]');
+
+    // Headings that can be linked to, in document order: those of the manual
+    // by the id of their section, the others by their own.
+    var headings = [];
     $docsDivWithId.children("h1, h2, h3, h4").each(function () {
-        $(this).append("<a class='genanchor' href='#" + $(this).parent().attr("id") + "'> ¶</a>");
+        headings.push({element: this, id: $(this).parent().attr("id")});
     });
-
-    function findParameter(elt) {
-        var id = $(elt).text().replace(/^&?(\.\.\.)?\$?/g, '');
-        return $('.parameters, .options').find('.parameter').filter(function () {
-            return $(this).text().trim() === id; // https://bugs.php.net/bug.php?id=74493
-        }).first();
-    }
-
-    $('.refentry code.parameter')
-        .each(function () {
-            var param = findParameter(this);
-            if (param.length) {
-                $(this).css('cursor', 'pointer');
-            }
-        })
-        .click(function () {
-            var param = findParameter(this);
-            if (param.length) {
-                $.scrollTo({
-                    top: param.offset().top,
-                    left: 0
-                }, 400);
-            }
-        });
-
     $('h1[id], h2[id], h3[id], h4[id]').each(function () {
-        var $this = $(this);
-        $this.append("<a class='genanchor' href='#" + $this.attr('id') + "'> ¶</a>");
+        headings.push({element: this, id: this.id});
+    });
+    headings = headings.filter(function (heading, index) {
+        return headings.findIndex(function (other) {
+            return other.element === heading.element;
+        }) === index;
+    }).sort(function (a, b) {
+        return a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+    headings.forEach(function (heading) {
+        heading.title = $(heading.element).text().trim();
+        $(heading.element).append("<a class='genanchor' href='#" + heading.id + "'> ¶</a>");
     });
 
+    PHP_NET.pageToc = initPageToc(headings.filter(function (heading) {
+        return $(heading.element).closest('#layout-content').length;
+    }));
+
+    initParameterReferences();
+    initCopyButtons();
+
     (function () {
         var $elephpants = $(".elephpants");
 
@@ -634,12 +736,65 @@ $(document).ready(function () {
 
     /*{{{Search Modal*/
     const language = getLanguage();
-    initSearchModal();
-    initPHPSearch(language).then((searchCallback) => {
+    const searchModal = initSearchModal();
+    registerShortcut({
+        id: 'search',
+        keys: '/',
+        description: 'Focus search box',
+        scope: 'global',
+        action: function () {
+            searchModal.show();
+            return false;
+        }
+    });
+    const searchCallbackPromise = initPHPSearch(language);
+    searchCallbackPromise.catch((error) => {
+        console.error("Failed to load the search index", error);
+        // Searches then fail, which the modal reports.
+        return () => Promise.reject(error);
+    }).then((searchCallback) => {
         initSearchUI({language, searchCallback, limit: 30});
     });
     /*}}}*/
 
+    /*{{{Goto palette*/
+    const gotoPalette = initGotoPalette(language, searchCallbackPromise);
+    registerShortcut({
+        id: 'goto-page',
+        keys: 'g s',
+        description: 'Goto search (current page)',
+        scope: 'global',
+        action: function () {
+            gotoPalette.open('page');
+            return false;
+        }
+    });
+    registerShortcut({
+        id: 'goto-manual',
+        keys: 'g a',
+        description: 'Goto search (manual)',
+        scope: 'global',
+        action: function () {
+            gotoPalette.open('manual');
+            return false;
+        }
+    });
+    /*}}}*/
+
+    /*{{{Offline manual*/
+    const offlineManualElement = document.getElementById("offline-manual");
+    if (offlineManualElement && "serviceWorker" in navigator) {
+        initOfflineManual(offlineManualElement, language);
+    }
+    /*}}}*/
+
+    /*{{{Keyboard shortcut settings*/
+    const shortcutSettingsElement = document.getElementById("keyboard-shortcuts-settings");
+    if (shortcutSettingsElement) {
+        initShortcutSettings(shortcutSettingsElement);
+    }
+    /*}}}*/
+
     /* {{{ Negative user notes fade-out */
     var usernotes = document.getElementById('usernotes');
     if (usernotes != null) {
@@ -806,6 +961,680 @@ function flashMessage(o) {
 }
 /* }}} */
 
+/* {{{ Offline manual */
+/**
+ * Wire up the offline manual controls on my.php. Enabling it registers
+ * /service-worker.js and has it precache the search index of the language
+ * along with the styles and scripts of the current page.
+ */
+function initOfflineManual(element, language) {
+    var statusElement = element.querySelector('.offline-manual__status');
+    var enableButton = element.querySelector('.offline-manual__enable');
+    var disableButton = element.querySelector('.offline-manual__disable');
+
+    var update = function (registration) {
+        statusElement.textContent = registration
+            ? 'The offline manual is enabled in this browser.'
+            : 'The offline manual is disabled in this browser.';
+        enableButton.hidden = false;
+        disableButton.hidden = !registration;
+    };
+
+    var cacheLanguage = function (worker) {
+        var assets = Array.from(
+            document.querySelectorAll('link[rel=stylesheet], script[src]'),
+            function (node) {
+                return node.href || node.src;
+            }
+        );
+
+        return new Promise(function (resolve, reject) {
+            var channel = new MessageChannel();
+            channel.port1.onmessage = function (event) {
+                if (event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve();
+                }
+            };
+            worker.postMessage({
+                type: 'cache-language',
+                language: language,
+                assets: assets
+            }, [channel.port2]);
+        });
+    };
+
+    enableButton.addEventListener('click', async function () {
+        enableButton.disabled = true;
+        try {
+            await navigator.serviceWorker.register('/service-worker.js');
+            var registration = await navigator.serviceWorker.ready;
+            await cacheLanguage(registration.active);
+            update(registration);
+            flashMessage({
+                text: 'This language of the manual is now available offline.'
+            });
+        } catch (error) {
+            console.error('Failed to enable the offline manual', error);
+            flashMessage({
+                text: 'The manual could not be made available offline.',
+                type: 'error'
+            });
+        } finally {
+            enableButton.disabled = false;
+        }
+    });
+
+    disableButton.addEventListener('click', async function () {
+        var registration = await navigator.serviceWorker.getRegistration('/');
+        if (registration) {
+            await registration.unregister();
+        }
+        var keys = await caches.keys();
+        await Promise.all(keys.filter(function (key) {
+            return key.startsWith('offline-');
+        }).map(function (key) {
+            return caches.delete(key);
+        }));
+        update(null);
+    });
+
+    navigator.serviceWorker.getRegistration('/').then(update);
+}
+/* }}} */
+
+/* {{{ Table of contents */
+PHP_NET.TOC_MIN_HEADINGS = 4;
+
+/**
+ * Build the table of contents of a long page, in the side menu when there is
+ * one, and highlight the section being read in it. j and k move through the
+ * same sections, see move().
+ *
+ * @param {Array<{element: HTMLElement, id: string, title: string}>} headings
+ * @returns {{move: function(boolean): void}|null} Null when the page is too
+ * short to need a table of contents.
+ */
+function initPageToc(headings) {
+    if (headings.length < PHP_NET.TOC_MIN_HEADINGS || !('IntersectionObserver' in window)) {
+        return null;
+    }
+
+    var levels = headings.map(function (heading) {
+        return Number(heading.element.tagName.substring(1));
+    });
+    var topLevel = Math.min.apply(null, levels);
+
+    var nav = $('<nav class="page-toc" aria-labelledby="page-toc__title">');
+    var list = $('<ol class="page-toc__list">');
+    nav.append($('<div class="page-toc__title" id="page-toc__title">').text('On this page'), list);
+
+    var current = -1;
+    var links = headings.map(function (heading, index) {
+        var link = $('<a>').attr('href', '#' + heading.id).text(heading.title);
+        link.on('click', function () {
+            setCurrent(index);
+        });
+        list.append(
+            $('<li class="page-toc__item">')
+                .addClass('page-toc__item--level-' + (levels[index] - topLevel + 1))
+                .append(link)
+        );
+        return link;
+    });
+
+    var menu = $('.layout-menu');
+    if (menu.length) {
+        menu.prepend(nav);
+    } else {
+        $('#layout-content').prepend(nav);
+    }
+
+    var setCurrent = function (index) {
+        if (index === current) {
+            return;
+        }
+        if (current !== -1) {
+            links[current].removeAttr('aria-current');
+        }
+        current = index;
+        if (index === -1) {
+            return;
+        }
+        links[index].attr('aria-current', 'location');
+
+        // Keep the highlighted entry visible in the side menu, which scrolls
+        // on its own when it is taller than the window.
+        var container = menu[0];
+        if (container && container.scrollHeight > container.clientHeight) {
+            var linkRect = links[index][0].getBoundingClientRect();
+            var containerRect = container.getBoundingClientRect();
+            if (linkRect.top < containerRect.top || linkRect.bottom > containerRect.bottom) {
+                container.scrollTop += linkRect.top - containerRect.top - container.clientHeight / 2;
+            }
+        }
+    };
+
+    // The section being read is the last one whose heading has scrolled past
+    // the top quarter of the window, below the navbar.
+    var READING_LINE = 0.25;
+    var update = function () {
+        var line = window.innerHeight * READING_LINE;
+        var index = -1;
+        headings.forEach(function (heading, i) {
+            if (heading.element.getBoundingClientRect().top <= line) {
+                index = i;
+            }
+        });
+        setCurrent(index);
+    };
+
+    // Headings only change the current section when they cross the reading
+    // line, so there is no need to check on every scroll event.
+    var observer = new IntersectionObserver(update, {
+        rootMargin: '-' + PHP_NET.HEADER_HEIGHT + 'px 0px -' + (100 - READING_LINE * 100) + '% 0px'
+    });
+    headings.forEach(function (heading) {
+        observer.observe(heading.element);
+    });
+
+    /**
+     * Scroll to the next section, or the previous one when forward is false.
+     */
+    var move = function (forward) {
+        var index = Math.max(0, Math.min(current + (forward ? 1 : -1), headings.length - 1));
+        $.scrollTo($(headings[index].element).offset().top - PHP_NET.HEADER_HEIGHT, 10);
+        // Sections at the end of the page cannot be scrolled up to the
+        // reading line, so they are marked right away.
+        setCurrent(index);
+    };
+
+    return {move: move};
+}
+/* }}} */
+
+/* {{{ Parameter references */
+/**
+ * Link the mentions of a parameter on refentry pages to its entry in the
+ * parameter list, whose description is shown in a popover on hover and
+ * focus. Once a mention is followed, a button leads back to it.
+ */
+function initParameterReferences() {
+    var POPOVER_DELAY = 200;
+    var HIGHLIGHT_CLASS = 'parameter-target';
+
+    function findParameter(elt) {
+        var id = $(elt).text().replace(/^&?(\.\.\.)?\$?/g, '');
+        return $('.parameters, .options').find('.parameter').filter(function () {
+            return $(this).text().trim() === id; // https://bugs.php.net/bug.php?id=74493
+        }).first();
+    }
+
+    var popover = $('<div id="parameter-popover" class="parameter-popover" role="tooltip" hidden>')
+        .appendTo('body');
+    var backButton = $('<button type="button" class="parameter-back" hidden>')
+        .text('Back to where I was')
+        .appendTo('body');
+    var hideTimeout = null;
+    var returnTo = null;
+
+    var showPopover = function (mention, description) {
+        window.clearTimeout(hideTimeout);
+        var content = description.clone();
+        content.find('[id]').removeAttr('id');
+        popover.empty().append(content.contents()).prop('hidden', false);
+
+        var rect = mention.getBoundingClientRect();
+        var maxLeft = document.documentElement.clientWidth - popover.outerWidth() - 8;
+        popover.css({
+            top: rect.bottom + window.pageYOffset + 4,
+            left: Math.max(8, Math.min(rect.left, maxLeft)) + window.pageXOffset
+        });
+        $('[aria-describedby=parameter-popover]').removeAttr('aria-describedby');
+        $(mention).attr('aria-describedby', 'parameter-popover');
+    };
+
+    var hidePopover = function (delay) {
+        window.clearTimeout(hideTimeout);
+        hideTimeout = window.setTimeout(function () {
+            popover.prop('hidden', true);
+            $('[aria-describedby=parameter-popover]').removeAttr('aria-describedby');
+        }, delay);
+    };
+
+    var follow = function (mention, param) {
+        returnTo = {mention: mention, top: window.pageYOffset};
+        hidePopover(0);
+
+        var term = param.closest('dt');
+        if (!term.length) {
+            term = param;
+        }
+        $.scrollTo({
+            top: term.offset().top - PHP_NET.HEADER_HEIGHT,
+            left: 0
+        }, 400);
+
+        // Restart the highlight when the same parameter is followed again.
+        var target = term.add(term.next('dd'));
+        target.removeClass(HIGHLIGHT_CLASS);
+        void term[0].offsetWidth;
+        target.addClass(HIGHLIGHT_CLASS).one('animationend', function () {
+            target.removeClass(HIGHLIGHT_CLASS);
+        });
+        term.attr('tabindex', '-1')[0].focus({preventScroll: true});
+
+        backButton.prop('hidden', false);
+    };
+
+    backButton.on('click', function () {
+        if (!returnTo) {
+            return;
+        }
+        $.scrollTo({top: returnTo.top, left: 0}, 400);
+        returnTo.mention.focus({preventScroll: true});
+        returnTo = null;
+        backButton.prop('hidden', true);
+    });
+
+    popover
+        .on('mouseenter', function () {
+            window.clearTimeout(hideTimeout);
+        })
+        .on('mouseleave', function () {
+            hidePopover(POPOVER_DELAY);
+        });
+
+    $('.refentry code.parameter').each(function () {
+        var mention = this;
+        var param = findParameter(mention);
+        if (!param.length || param[0] === mention) {
+            return;
+        }
+        var description = param.closest('dt').next('dd');
+
+        $(mention)
+            .addClass('parameter-reference')
+            .attr({tabindex: '0', role: 'link'})
+            .on('click', function () {
+                follow(mention, param);
+            })
+            .on('keydown', function (event) {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    follow(mention, param);
+                } else if (event.key === 'Escape') {
+                    hidePopover(0);
+                }
+            })
+            .on('mouseenter focus', function () {
+                if (description.length) {
+                    showPopover(mention, description);
+                }
+            })
+            .on('mouseleave blur', function () {
+                hidePopover(POPOVER_DELAY);
+            });
+    });
+}
+/* }}} */
+
+/* {{{ Copy to clipboard */
+/**
+ * Copy text to the clipboard, confirming with a flash message.
+ */
+function copyToClipboard(text, confirmation) {
+    return navigator.clipboard.writeText(text).then(function () {
+        flashMessage({text: confirmation});
+    }, function (error) {
+        console.error('Failed to copy to the clipboard', error);
+        flashMessage({
+            text: 'Copying to the clipboard failed.',
+            type: 'error'
+        });
+    });
+}
+
+/**
+ * The text of a code block as written. Older highlighting uses non-breaking
+ * spaces, and interactive examples that were edited are copied as edited.
+ */
+function getCodeText(block) {
+    var editor = block.querySelector('textarea');
+    var text = editor ? editor.value : block.innerText;
+    return text
+        .replace(/\u00a0/g, ' ')
+        .replace(/[ \t]+$/gm, '')
+        .replace(/^\n+|\s+$/g, '');
+}
+
+/**
+ * The signature of a method synopsis on one line, as it would be written.
+ */
+function getSignatureText(synopsis) {
+    return synopsis.innerText
+        .replace(/\s+/g, ' ')
+        .replace(/\s*\(\s*/g, '(')
+        .replace(/\s([,)\]])/g, '$1')
+        .trim();
+}
+
+/**
+ * Add a button in the top right corner of a block. It is placed before the
+ * block rather than in it, as interactive examples replace the contents of
+ * their code.
+ */
+function addCopyButton(block, label, getText, confirmation) {
+    var button = $('<button type="button" class="copy-button">')
+        .text('Copy')
+        .attr({'aria-label': label, title: label})
+        .on('click', function () {
+            copyToClipboard(getText(block), confirmation);
+        });
+    $('<div class="copy-button__anchor">').append(button).insertBefore(block);
+}
+
+/**
+ * Add copy buttons to code blocks and method synopses, and a "copy link"
+ * button next to the anchors of section headings.
+ */
+function initCopyButtons() {
+    // The Clipboard API is only available on secure origins.
+    if (!navigator.clipboard) {
+        return;
+    }
+
+    $('#layout-content').find('.phpcode, .screen').each(function () {
+        addCopyButton(this, 'Copy code', getCodeText, 'Code copied to the clipboard.');
+    });
+
+    $('.refentry .methodsynopsis').each(function () {
+        addCopyButton(this, 'Copy signature', getSignatureText, 'Signature copied to the clipboard.');
+    });
+
+    $('#layout-content a.genanchor').each(function () {
+        var anchor = this;
+        $('<button type="button" class="genanchor-copy">')
+            .text('Copy link')
+            .attr('aria-label', 'Copy link to this section')
+            .on('click', function () {
+                copyToClipboard(anchor.href, 'Link to this section copied to the clipboard.');
+            })
+            .insertAfter(anchor);
+    });
+}
+/* }}} */
+
+/* {{{ Goto palette */
+/**
+ * Set up the palette opened with "g s" to go to a link of the current page,
+ * or with "g a" to go to a manual page found in the search index.
+ *
+ * @param {string} language
+ * @param {Promise<Function>} searchCallbackPromise The search callback
+ * returned by initPHPSearch().
+ * @returns {{open: function(string): void, close: function(): void}}
+ */
+function initGotoPalette(language, searchCallbackPromise) {
+    const LIMIT = 30;
+    const PLACEHOLDERS = {
+        page: 'Go to a link on this page',
+        manual: 'Go to a manual page'
+    };
+
+    const element = document.getElementById('goto');
+    const inputElement = element.querySelector('.text');
+    const resultsElement = element.querySelector('.results');
+    const statusElement = element.querySelector('.status');
+    let mode = null;
+    let selectedIndex = -1;
+    let lastRequest = 0;
+    let opener = null;
+
+    /**
+     * The links of the page whose text contains the terms, all of them when
+     * there are no terms.
+     */
+    const findPageLinks = (terms) => {
+        const needle = terms.toLowerCase();
+        const seen = new Set();
+        const entries = [];
+        for (const link of document.querySelectorAll('#layout a[href]')) {
+            const name = link.textContent.trim();
+            const key = link.href + ' ' + name;
+            if (name && name.toLowerCase().includes(needle) && !seen.has(key)) {
+                seen.add(key);
+                entries.push({href: link.href, name: name, description: ''});
+                if (entries.length === LIMIT) {
+                    break;
+                }
+            }
+        }
+        return Promise.resolve(entries);
+    };
+
+    const findManualPages = (terms) => {
+        if (!terms) {
+            return Promise.resolve([]);
+        }
+        return searchCallbackPromise
+            .then((searchCallback) => searchCallback(terms, LIMIT))
+            .then((results) => results.map(({item}) => ({
+                href: `/manual/${encodeURIComponent(language)}/${encodeURIComponent(item.id)}.php`,
+                name: item.name,
+                description: item.description
+            })));
+    };
+
+    const updateSelectedResult = () => {
+        resultsElement.querySelectorAll('[role=option]').forEach((option, index) => {
+            option.setAttribute('aria-selected', index === selectedIndex ? 'true' : 'false');
+            if (index === selectedIndex) {
+                option.scrollIntoView({block: 'nearest'});
+            }
+        });
+        if (selectedIndex === -1) {
+            inputElement.removeAttribute('aria-activedescendant');
+        } else {
+            inputElement.setAttribute('aria-activedescendant', `goto__result-${selectedIndex}`);
+        }
+    };
+
+    const render = (entries) => {
+        resultsElement.replaceChildren(...entries.map((entry, index) => {
+            const option = document.createElement('a');
+            option.id = `goto__result-${index}`;
+            option.href = entry.href;
+            option.tabIndex = -1;
+            option.setAttribute('role', 'option');
+            option.textContent = entry.name;
+            if (entry.description) {
+                const description = document.createElement('span');
+                description.className = 'description';
+                description.textContent = entry.description;
+                option.append(': ', description);
+            }
+            return option;
+        }));
+        statusElement.textContent = !entries.length && inputElement.value.trim()
+            ? 'No results'
+            : '';
+        selectedIndex = entries.length ? 0 : -1;
+        updateSelectedResult();
+    };
+
+    const update = () => {
+        const terms = inputElement.value.trim();
+        const request = ++lastRequest;
+        const find = mode === 'page' ? findPageLinks : findManualPages;
+        find(terms).then((entries) => {
+            // Results of an earlier query can arrive late.
+            if (request === lastRequest) {
+                render(entries);
+            }
+        }, (error) => {
+            console.error('Failed to search the manual', error);
+            if (request === lastRequest) {
+                render([]);
+                statusElement.textContent = 'The manual search is unavailable.';
+            }
+        });
+    };
+
+    const open = (newMode) => {
+        mode = newMode;
+        opener = document.activeElement;
+        inputElement.placeholder = PLACEHOLDERS[mode];
+        inputElement.value = '';
+        $(element).slideDown();
+        inputElement.focus();
+        update();
+    };
+
+    const close = (restoreFocus = true) => {
+        $(element).slideUp();
+        mode = null;
+        lastRequest++;
+        if (restoreFocus && opener) {
+            opener.focus();
+        }
+        opener = null;
+    };
+
+    inputElement.addEventListener('input', update);
+
+    inputElement.addEventListener('keydown', (event) => {
+        const options = resultsElement.querySelectorAll('[role=option]');
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                selectedIndex = Math.min(selectedIndex + 1, options.length - 1);
+                updateSelectedResult();
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                selectedIndex = Math.max(selectedIndex - 1, 0);
+                updateSelectedResult();
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (selectedIndex !== -1) {
+                    options[selectedIndex].click();
+                }
+                break;
+            case 'Escape':
+                event.preventDefault();
+                close();
+                break;
+        }
+    });
+
+    // Close when focus moves on, e.g. with Tab, without taking it back.
+    element.addEventListener('focusout', (event) => {
+        if (mode !== null && event.relatedTarget && !element.contains(event.relatedTarget)) {
+            close(false);
+        }
+    });
+
+    // Close when the user clicks outside of it
+    document.addEventListener('click', (event) => {
+        if (mode !== null && !element.contains(event.target)) {
+            close(false);
+        }
+    });
+
+    // Links to the current page only scroll it, the palette is in the way.
+    resultsElement.addEventListener('click', (event) => {
+        if (event.target.closest('[role=option]')) {
+            close(false);
+        }
+    });
+
+    return {open: open, close: close};
+}
+/* }}} */
+
+/* {{{ Keyboard shortcut settings */
+/**
+ * Wire up the keyboard shortcut settings on my.php, listing the shortcuts
+ * that can be turned off or remapped.
+ */
+function initShortcutSettings(element) {
+    var enabledInput = element.querySelector('.keyboard-shortcuts__enabled');
+    var listElement = element.querySelector('.keyboard-shortcuts__list');
+    var resetButton = element.querySelector('.keyboard-shortcuts__reset');
+
+    var shortcuts = PHP_NET.shortcuts.filter(function (shortcut) {
+        return shortcut.action;
+    });
+
+    var render = function () {
+        var settings = PHP_NET.shortcutSettings;
+        enabledInput.checked = settings.enabled;
+        $(listElement).empty().append(shortcuts.map(function (shortcut) {
+            var id = 'keyboard-shortcut-' + shortcut.id;
+            var keys = shortcut.id in settings.keys ? settings.keys[shortcut.id] : shortcut.keys;
+
+            var input = $('<input type="text" autocomplete="off" spellcheck="false">')
+                .attr({id: id, placeholder: 'Off'})
+                .data('shortcut', shortcut)
+                .val(keys || '')
+                .prop('disabled', !settings.enabled);
+
+            return $('<tr>').append(
+                $('<td>').append($('<label>').attr('for', id).text(shortcut.description)),
+                $('<td>').text(PHP_NET.SHORTCUT_SCOPES[shortcut.scope]),
+                $('<td>').append(input),
+                $('<td>').append(formatShortcutKeys(shortcut.keys))
+            );
+        }));
+    };
+
+    var saveKeys = function (input) {
+        var shortcut = $(input).data('shortcut');
+        var keys = input.value.trim().replace(/\s+/g, ' ');
+        var settings = PHP_NET.shortcutSettings;
+        var remapped = $.extend({}, settings.keys);
+        if (keys === shortcut.keys) {
+            delete remapped[shortcut.id];
+        } else {
+            remapped[shortcut.id] = keys || null;
+        }
+        input.value = keys;
+        saveShortcutSettings({enabled: settings.enabled, keys: remapped});
+    };
+
+    listElement.addEventListener('change', function (event) {
+        saveKeys(event.target);
+    });
+
+    // Enter would submit the other preferences.
+    listElement.addEventListener('keydown', function (event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            saveKeys(event.target);
+        }
+    });
+
+    enabledInput.addEventListener('change', function () {
+        saveShortcutSettings({
+            enabled: enabledInput.checked,
+            keys: PHP_NET.shortcutSettings.keys
+        });
+        render();
+    });
+
+    resetButton.addEventListener('click', function () {
+        saveShortcutSettings({enabled: true, keys: {}});
+        render();
+    });
+
+    render();
+    element.hidden = false;
+}
+/* }}} */
+
 /**
  * Determine what language to present to the user.
  */
@@ -0,0 +1,298 @@
+/**
+ * Small code editor for interactive examples, imported by
+ * interactive-examples.js the first time an example is focused.
+ *
+ * The code is typed in a transparent textarea laid over a copy that is
+ * highlighted as the user types, with the classes used by the manual's own
+ * PHP highlighting.
+ */
+
+const INDENT = "    ";
+const UNDO_LIMIT = 100;
+// Typing within this many milliseconds is undone in one step.
+const UNDO_GROUP_DELAY = 1000;
+
+const KEYWORDS = new Set([
+  "abstract", "and", "array", "as", "break", "callable", "case", "catch",
+  "class", "clone", "const", "continue", "declare", "default", "do", "echo",
+  "else", "elseif", "empty", "enddeclare", "endfor", "endforeach", "endif",
+  "endswitch", "endwhile", "enum", "eval", "exit", "extends", "false",
+  "final", "finally", "fn", "for", "foreach", "function", "global", "goto",
+  "if", "implements", "include", "include_once", "instanceof", "insteadof",
+  "interface", "isset", "list", "match", "namespace", "new", "null", "or",
+  "print", "private", "protected", "public", "readonly", "require",
+  "require_once", "return", "static", "switch", "throw", "trait", "true",
+  "try", "unset", "use", "var", "while", "xor", "yield",
+]);
+
+// Tokens of PHP code, tried in order at the current position.
+const PHP_TOKENS = [
+  ["close", /\?>/y],
+  ["comment", /(?:\/\/|#(?!\[))[^\n]*?(?=\?>|\n|$)|\/\*[\s\S]*?(?:\*\/|$)/y],
+  ["string", /<<<[ \t]*(["']?)(\w+)\1[\s\S]*?^[ \t]*\2\b|'(?:[^'\\]|\\[\s\S])*'?|"(?:[^"\\]|\\[\s\S])*"?|`(?:[^`\\]|\\[\s\S])*`?/my],
+  ["default", /\$+\w+|\d[\w.]*/y],
+  ["word", /[A-Za-z_\x80-\uffff][\w\x80-\uffff]*/y],
+  ["space", /\s+/y],
+  ["keyword", /[^\s\w$'"`#/?<]+|[\s\S]/y],
+];
+
+const OPEN_TAG = /<\?(?:php\b|=)?/g;
+
+function escape(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function span(className, text) {
+  return '<span class="' + className + '">' + escape(text) + "</span>";
+}
+
+// Highlight PHP code, returning HTML.
+function highlight(code) {
+  let html = "";
+  let offset = 0;
+
+  while (offset < code.length) {
+    // Inline HTML up to the next opening tag.
+    OPEN_TAG.lastIndex = offset;
+    const open = OPEN_TAG.exec(code);
+    const htmlEnd = open ? open.index : code.length;
+    if (htmlEnd > offset) {
+      html += span("html", code.slice(offset, htmlEnd));
+    }
+    if (!open) {
+      break;
+    }
+    html += span("default", open[0]);
+    offset = open.index + open[0].length;
+
+    // PHP code up to the closing tag.
+    while (offset < code.length) {
+      let type = null;
+      let text = "";
+      for (const [name, pattern] of PHP_TOKENS) {
+        pattern.lastIndex = offset;
+        const match = pattern.exec(code);
+        if (match && match[0] !== "") {
+          type = name;
+          text = match[0];
+          break;
+        }
+      }
+
+      offset += text.length;
+      if (type === "close") {
+        html += span("default", text);
+        break;
+      }
+      if (type === "space") {
+        html += escape(text);
+      } else if (type === "word") {
+        html += span(KEYWORDS.has(text.toLowerCase()) ? "keyword" : "default", text);
+      } else {
+        html += span(type, text);
+      }
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Replace the highlighted code of an interactive example with an editor.
+ *
+ * @param {HTMLElement} phpcode The .phpcode block of the example.
+ * @param {{onRun: () => void, value?: string}} options onRun is called on
+ * Ctrl+Enter, value replaces the original code, e.g. when it was shared.
+ * @returns {{getValue: () => string, reset: () => void, focus: () => void}}
+ */
+export function createEditor(phpcode, { onRun, value }) {
+  // The server side highlighting uses non-breaking spaces in older versions.
+  const original = phpcode.querySelector("code").innerText.replace(/\u00a0/g, " ");
+
+  const container = document.createElement("div");
+  container.classList.add("example-editor");
+
+  const pre = document.createElement("pre");
+  pre.classList.add("example-editor__highlight");
+  pre.setAttribute("aria-hidden", "true");
+  const code = document.createElement("code");
+  pre.appendChild(code);
+
+  const textarea = document.createElement("textarea");
+  textarea.classList.add("example-editor__input");
+  textarea.value = value ?? original;
+  textarea.spellcheck = false;
+  textarea.setAttribute("autocapitalize", "off");
+  textarea.setAttribute("autocomplete", "off");
+  textarea.setAttribute("aria-label", "Example code, press Escape then Tab to leave");
+  textarea.setAttribute("aria-keyshortcuts", "Control+Enter");
+
+  container.append(pre, textarea);
+  phpcode.replaceChildren(container);
+
+  const undoStack = [];
+  const redoStack = [];
+  let lastEdit = 0;
+  let tabLeaves = false;
+
+  function update() {
+    // The extra line break keeps the height right when the code ends with one.
+    code.innerHTML = highlight(textarea.value) + "\n";
+  }
+
+  function snapshot() {
+    return {
+      value: textarea.value,
+      start: textarea.selectionStart,
+      end: textarea.selectionEnd,
+    };
+  }
+
+  function restore({ value, start, end }) {
+    textarea.value = value;
+    textarea.setSelectionRange(start, end);
+    update();
+  }
+
+  // Remember the state before an edit, grouping consecutive typing.
+  function record(group = false) {
+    const now = Date.now();
+    if (!group || now - lastEdit > UNDO_GROUP_DELAY) {
+      undoStack.push(snapshot());
+      if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+      }
+    }
+    lastEdit = group ? now : 0;
+    redoStack.length = 0;
+  }
+
+  function undo() {
+    if (undoStack.length) {
+      redoStack.push(snapshot());
+      restore(undoStack.pop());
+      lastEdit = 0;
+    }
+  }
+
+  function redo() {
+    if (redoStack.length) {
+      undoStack.push(snapshot());
+      restore(redoStack.pop());
+      lastEdit = 0;
+    }
+  }
+
+  function replace(start, end, text, selectionStart, selectionEnd = selectionStart) {
+    record();
+    textarea.setRangeText(text, start, end);
+    textarea.setSelectionRange(selectionStart, selectionEnd);
+    update();
+  }
+
+  // Indent or, with Shift, outdent the lines of the selection.
+  function indent(outdent) {
+    const { value, selectionStart, selectionEnd } = textarea;
+    if (!outdent && selectionStart === selectionEnd) {
+      replace(selectionStart, selectionEnd, INDENT, selectionStart + INDENT.length);
+      return;
+    }
+
+    const start = value.lastIndexOf("\n", selectionStart - 1) + 1;
+    const lines = value.slice(start, selectionEnd).split("\n");
+    let firstShift = 0;
+    let totalShift = 0;
+    const indented = lines.map((line, index) => {
+      let shift = INDENT.length;
+      if (outdent) {
+        shift = -line.match(/^ {0,4}/)[0].length;
+      }
+      if (index === 0) {
+        firstShift = shift;
+      }
+      totalShift += shift;
+      return outdent ? line.slice(-shift) : INDENT + line;
+    });
+
+    replace(
+      start,
+      selectionEnd,
+      indented.join("\n"),
+      Math.max(start, selectionStart + firstShift),
+      selectionEnd + totalShift,
+    );
+  }
+
+  // Keep the indentation of the current line, adding a level after an
+  // opening bracket.
+  function newLine() {
+    const { value, selectionStart, selectionEnd } = textarea;
+    const lineStart = value.lastIndexOf("\n", selectionStart - 1) + 1;
+    let indentation = value.slice(lineStart).match(/^[ \t]*/)[0];
+    if (/[{([:]\s*$/.test(value.slice(lineStart, selectionStart))) {
+      indentation += INDENT;
+    }
+    const text = "\n" + indentation;
+    replace(selectionStart, selectionEnd, text, selectionStart + text.length);
+  }
+
+  textarea.addEventListener("keydown", (event) => {
+    if (event.isComposing) {
+      return;
+    }
+
+    const modifier = event.ctrlKey || event.metaKey;
+    const leave = tabLeaves;
+    tabLeaves = event.key === "Escape";
+
+    if (modifier && event.key === "Enter") {
+      event.preventDefault();
+      onRun();
+    } else if (modifier && !event.shiftKey && event.key.toLowerCase() === "z") {
+      event.preventDefault();
+      undo();
+    } else if (modifier && (event.key.toLowerCase() === "y" || (event.shiftKey && event.key.toLowerCase() === "z"))) {
+      event.preventDefault();
+      redo();
+    } else if (event.key === "Tab" && !leave && !event.altKey && !modifier) {
+      event.preventDefault();
+      indent(event.shiftKey);
+    } else if (event.key === "Enter" && !event.shiftKey && !event.altKey) {
+      event.preventDefault();
+      newLine();
+    }
+  });
+
+  textarea.addEventListener("beforeinput", (event) => {
+    // Undo and redo from the context menu.
+    if (event.inputType === "historyUndo" || event.inputType === "historyRedo") {
+      event.preventDefault();
+      event.inputType === "historyUndo" ? undo() : redo();
+      return;
+    }
+    record(event.inputType === "insertText" || event.inputType === "deleteContentBackward");
+  });
+
+  textarea.addEventListener("input", update);
+
+  update();
+
+  return {
+    getValue() {
+      return textarea.value;
+    },
+
+    reset() {
+      if (textarea.value !== original) {
+        replace(0, textarea.value.length, original, 0);
+      }
+    },
+
+    focus() {
+      textarea.focus();
+    },
+  };
+}
@@ -0,0 +1,437 @@
+/**
+ * Module Web Worker running the PHP WASM runtime for interactive examples,
+ * so that long running or endless examples do not freeze the page. Spawned
+ * by the PHP class in interactive-examples.js, which terminates it to stop
+ * an example.
+ *
+ * Every run gets a fresh instance of the runtime, so that examples cannot
+ * leak state into each other. The WASM binary is only compiled once, and the
+ * progress of its download and compilation is reported to the page.
+ */
+const runtimeUrl = "/js/php-web.mjs";
+// Emscripten names the binary after the module.
+const wasmUrl = new URL("/js/php-web.wasm", self.location.href);
+
+// The working directory, where the files of an example are created. Paths
+// outside of it are used as is.
+const WORK_DIR = "/example";
+const SCRIPT_PATH = WORK_DIR + "/example.php";
+const STATUS_PATH = "/tmp/example-status.json";
+const ARGV_PATH = "/tmp/example-argv.json";
+// Directories searched for files written by an example.
+const OUTPUT_DIRS = [WORK_DIR, "/tmp"];
+
+/*
+ * Runs the example and reports what PHP would display on its own. The embed
+ * SAPI cannot send errors to stderr, so they are hidden and written there by
+ * the handlers instead. Uncaught exceptions and fatal errors are recorded in
+ * STATUS_PATH for the worker to read once the run is over, with the exit
+ * status. The embed SAPI does not return the status exit() sets, so calls to
+ * exit() and die() are rewritten to record it first. The status is null when
+ * the tokenizer extension is missing and they cannot be found.
+ */
+const RUNNER = `<?php
+ini_set("display_errors", "0");
+ini_set("html_errors", "0");
+
+chdir("${WORK_DIR}");
+
+// What the CLI provides to scripts.
+$argv = ["${SCRIPT_PATH}", ...json_decode(file_get_contents("${ARGV_PATH}"), true)];
+$argc = count($argv);
+$_SERVER["argv"] = $argv;
+$_SERVER["argc"] = $argc;
+defined("STDIN") || define("STDIN", fopen("php://stdin", "r"));
+defined("STDOUT") || define("STDOUT", fopen("php://stdout", "w"));
+defined("STDERR") || define("STDERR", fopen("php://stderr", "w"));
+
+$__status = ["errors" => [], "exitCode" => null];
+
+function __example_exit($status = 0) {
+    if (is_int($status)) {
+        $GLOBALS["__status"]["exitCode"] = $status;
+    }
+    exit($status);
+}
+
+function __example_rewrite_exits(string $path): bool {
+    if (!function_exists("token_get_all")) {
+        return false;
+    }
+
+    // Parsing tells the names of methods and constants apart from calls. A
+    // script that does not parse is left as is, for PHP to report the error.
+    try {
+        $tokens = token_get_all(file_get_contents($path), TOKEN_PARSE);
+    } catch (ParseError $error) {
+        return true;
+    }
+
+    $ignored = [T_WHITESPACE, T_COMMENT, T_DOC_COMMENT];
+    $code = "";
+    foreach ($tokens as $index => $token) {
+        [$id, $text] = is_array($token) ? $token : [$token, $token];
+        if ($id === T_EXIT) {
+            $next = $index + 1;
+            while (isset($tokens[$next]) && is_array($tokens[$next]) && in_array($tokens[$next][0], $ignored, true)) {
+                $next++;
+            }
+            // exit and die can be used without parentheses.
+            $text = ($tokens[$next] ?? null) === "(" ? '\\__example_exit' : '\\__example_exit()';
+        }
+        $code .= $text;
+    }
+    file_put_contents($path, $code);
+
+    return true;
+}
+
+if (__example_rewrite_exits("${SCRIPT_PATH}")) {
+    $__status["exitCode"] = 0;
+}
+
+set_error_handler(function (int $type, string $message, string $file, int $line) {
+    // Errors that stop the script are left to PHP and reported on shutdown.
+    if (!(error_reporting() & $type) || in_array($type, [E_USER_ERROR, E_RECOVERABLE_ERROR], true)) {
+        return false;
+    }
+
+    $label = match ($type) {
+        E_NOTICE, E_USER_NOTICE => "Notice",
+        E_DEPRECATED, E_USER_DEPRECATED => "Deprecated",
+        default => "Warning",
+    };
+    fwrite(STDERR, "\\n$label: $message in $file on line $line\\n");
+
+    return true;
+});
+
+set_exception_handler(function (Throwable $exception) use (&$__status) {
+    $__status["exitCode"] = 255;
+    $__status["errors"][] = $exception instanceof ParseError
+        ? [
+            "type" => "Parse error",
+            "message" => $exception->getMessage(),
+            "file" => $exception->getFile(),
+            "line" => $exception->getLine(),
+        ]
+        : [
+            "type" => "Fatal error",
+            "message" => "Uncaught " . $exception . "\\n  thrown",
+            "file" => $exception->getFile(),
+            "line" => $exception->getLine(),
+        ];
+});
+
+register_shutdown_function(function () use (&$__status) {
+    $error = error_get_last();
+    if ($error && in_array($error["type"], [E_ERROR, E_CORE_ERROR, E_COMPILE_ERROR, E_USER_ERROR, E_RECOVERABLE_ERROR], true)) {
+        $__status["exitCode"] = 255;
+        $__status["errors"][] = [
+            "type" => "Fatal error",
+            "message" => $error["message"],
+            "file" => $error["file"],
+            "line" => $error["line"],
+        ];
+    }
+
+    file_put_contents("${STATUS_PATH}", json_encode($__status));
+});
+
+include "${SCRIPT_PATH}";
+`;
+
+const stdout = [];
+const stderr = [];
+let stdin = new Uint8Array();
+let stdinOffset = 0;
+
+const phpBinary = import(runtimeUrl).then((module) => module.default);
+let compiledWasm = null;
+
+// Cache Storage keeps the binary, and browsers keep the code they compiled
+// from it, so that later page views do not wait for either.
+const WASM_CACHE = "php-wasm-v1";
+
+/**
+ * Download the binary, reporting the progress to the page.
+ *
+ * @param {Response} response
+ * @returns {Promise<Uint8Array>}
+ */
+const download = async (response) => {
+  const total = Number(response.headers.get("Content-Length")) || null;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    postMessage({ type: "progress", phase: "download", loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
+
+/**
+ * Compile the binary, from the cache if it is still current.
+ *
+ * @returns {Promise<WebAssembly.Module>}
+ */
+const compileWasm = async () => {
+  let cache = null;
+  try {
+    cache = await caches.open(WASM_CACHE);
+  } catch (error) {
+    // Cache Storage might be unavailable, e.g. in private browsing.
+  }
+
+  const cached = await cache?.match(wasmUrl);
+  const headers = {};
+  if (cached?.headers.has("ETag")) {
+    headers["If-None-Match"] = cached.headers.get("ETag");
+  }
+  if (cached?.headers.has("Last-Modified")) {
+    headers["If-Modified-Since"] = cached.headers.get("Last-Modified");
+  }
+
+  let response;
+  try {
+    response = await fetch(wasmUrl, { headers, cache: "no-cache" });
+  } catch (error) {
+    // Offline, the cached binary is better than nothing.
+    if (!cached) {
+      throw error;
+    }
+    response = null;
+  }
+
+  if (cached && (!response || response.status === 304)) {
+    postMessage({ type: "progress", phase: "compile" });
+    return WebAssembly.compileStreaming(cached);
+  }
+  if (!response.ok) {
+    throw new Error("Failed to download " + wasmUrl.pathname + ": " + response.status);
+  }
+
+  const bytes = await download(response);
+  postMessage({ type: "progress", phase: "compile" });
+  const module = await WebAssembly.compile(bytes);
+
+  const responseHeaders = { "Content-Type": "application/wasm" };
+  ["ETag", "Last-Modified"].forEach((name) => {
+    if (response.headers.has(name)) {
+      responseHeaders[name] = response.headers.get(name);
+    }
+  });
+  cache?.put(wasmUrl, new Response(bytes, { headers: responseHeaders })).catch(() => {});
+
+  return module;
+};
+
+/**
+ * Create a fresh instance of the runtime, compiling the binary on first use.
+ *
+ * @returns {Promise<object>} The PHP WASM module.
+ */
+const createRuntime = () =>
+  new Promise((resolve, reject) => {
+    phpBinary
+      .then((createModule) =>
+        createModule({
+          // Byte by byte, unlike print() and printErr() which split lines and
+          // drop the line breaks.
+          stdout(byte) {
+            if (byte !== null) {
+              stdout.push(byte);
+            }
+          },
+          stderr(byte) {
+            if (byte !== null) {
+              stderr.push(byte);
+            }
+          },
+          stdin() {
+            return stdinOffset < stdin.length ? stdin[stdinOffset++] : null;
+          },
+          instantiateWasm(imports, receiveInstance) {
+            compiledWasm ??= compileWasm();
+            compiledWasm
+              .then((module) =>
+                WebAssembly.instantiate(module, imports).then((instance) =>
+                  receiveInstance(instance, module),
+                ),
+              )
+              .catch((error) => {
+                compiledWasm = null;
+                reject(error);
+              });
+            return {};
+          },
+        }),
+      )
+      .then(resolve, reject);
+  });
+
+// Set up before the runtime is loaded, so that no message is missed. The
+// runtime that reports the version is not used to run examples.
+let nextRuntime = createRuntime().then((module) => {
+  const version = module.ccall("phpw_exec", "string", ["string"], ["phpversion();"]);
+  postMessage({ type: "ready", version });
+  return createRuntime();
+});
+
+nextRuntime.catch((error) => {
+  postMessage({ type: "error", message: String(error) });
+});
+
+const decode = (bytes) => new TextDecoder().decode(new Uint8Array(bytes.splice(0)));
+
+/**
+ * Create the files of an example, with their parent directories.
+ *
+ * @param {object} FS The Emscripten file system.
+ * @param {Object<string, string>} files Contents by path.
+ */
+const seedFiles = (FS, files) => {
+  Object.entries(files).forEach(([path, contents]) => {
+    const absolutePath = path.startsWith("/") ? path : WORK_DIR + "/" + path;
+    FS.mkdirTree(absolutePath.slice(0, absolutePath.lastIndexOf("/")) || "/");
+    FS.writeFile(absolutePath, contents);
+  });
+};
+
+/**
+ * Find the files an example created or changed.
+ *
+ * @param {object} FS The Emscripten file system.
+ * @param {Object<string, string>} files The files the example started with.
+ * @returns {Array<{path: string, contents: Uint8Array}>}
+ */
+const findWrittenFiles = (FS, files) => {
+  const encoder = new TextEncoder();
+  const seeded = new Map(
+    Object.entries(files).map(([path, contents]) => [
+      path.startsWith("/") ? path : WORK_DIR + "/" + path,
+      encoder.encode(contents),
+    ]),
+  );
+  const isUnchanged = (path, contents) => {
+    const original = seeded.get(path);
+    return original?.length === contents.length && original.every((byte, index) => byte === contents[index]);
+  };
+
+  const written = [];
+  const visit = (path) => {
+    if ([SCRIPT_PATH, STATUS_PATH, ARGV_PATH].includes(path)) {
+      return;
+    }
+
+    const { mode } = FS.stat(path);
+    if (FS.isDir(mode)) {
+      FS.readdir(path)
+        .filter((name) => name !== "." && name !== "..")
+        .forEach((name) => visit(path + "/" + name));
+    } else if (FS.isFile(mode)) {
+      const contents = FS.readFile(path);
+      if (!isUnchanged(path, contents)) {
+        written.push({ path, contents });
+      }
+    }
+  };
+  OUTPUT_DIRS.forEach((dir) => {
+    if (FS.analyzePath(dir).exists) {
+      visit(dir);
+    }
+  });
+  return written;
+};
+
+/**
+ * Run the code of an example.
+ *
+ * @param {object} module A PHP WASM module that has not run anything yet.
+ * @param {{code: string, stdin: string, argv: Array<string>, files: Object<string, string>}} example
+ * The code, with what to read from STDIN, the arguments after $argv[0] and
+ * the files to create before it runs.
+ * @returns {{stdout: string, stderr: string, errors: Array<{type: string, message: string, file: string, line: number}>, exitCode: number|null, time: number, files: Array<{path: string, contents: Uint8Array}>}}
+ * The exit code follows the CLI, it is null when it cannot be known, see
+ * RUNNER. The time is in milliseconds. The files are those the example
+ * created or changed.
+ */
+const run = ({ ccall, FS }, example) => {
+  // The runtime only creates /tmp, /home, /dev and /proc.
+  FS.mkdirTree(WORK_DIR);
+  seedFiles(FS, example.files);
+  FS.writeFile(SCRIPT_PATH, example.code);
+  FS.writeFile(ARGV_PATH, JSON.stringify(example.argv));
+  stdin = new TextEncoder().encode(example.stdin);
+  stdinOffset = 0;
+
+  let output;
+  const start = performance.now();
+  try {
+    ccall("phpw_run", null, ["string"], [RUNNER]);
+  } finally {
+    // Drained even when the runtime aborts, e.g. on too deep a recursion, so
+    // that it is not reported along with the output of the next run.
+    output = { stdout: decode(stdout), stderr: decode(stderr) };
+  }
+  const time = performance.now() - start;
+
+  let errors = [];
+  let exitCode = null;
+  try {
+    ({ errors, exitCode } = JSON.parse(FS.readFile(STATUS_PATH, { encoding: "utf8" })));
+  } catch (error) {
+    errors = [{ type: "Fatal error", message: "The example did not run to completion.", file: SCRIPT_PATH, line: 0 }];
+  }
+
+  return {
+    ...output,
+    errors,
+    exitCode,
+    time,
+    files: findWrittenFiles(FS, example.files),
+  };
+};
+
+self.addEventListener("message", async ({ data }) => {
+  if (data.type !== "run") {
+    return;
+  }
+
+  let module;
+  try {
+    module = await nextRuntime;
+  } catch (error) {
+    postMessage({ type: "error", message: String(error) });
+    return;
+  }
+  // Prepare the runtime of the next run while this one is being reported.
+  nextRuntime = createRuntime();
+  nextRuntime.catch(() => {});
+
+  const { code, stdin, argv, files } = data;
+  let result;
+  try {
+    result = run(module, { code, stdin, argv, files });
+  } catch (error) {
+    postMessage({ type: "error", id: data.id, message: String(error) });
+    return;
+  }
+  postMessage(
+    { type: "result", id: data.id, result },
+    result.files.map(({ contents }) => contents.buffer),
+  );
+});
@@ -1,64 +1,469 @@
-import phpBinary from "/js/php-web.mjs";
-
 function generateExampleOutputTitle(phpVersion) {
+  if (phpVersion === null) {
+    return "Output of the above example:";
+  }
   return "Output of the above example in PHP "+ phpVersion +":";
 }
 
-function createOutput(output) {
+// Warnings written to stderr, then uncaught exceptions and fatal errors,
+// then the files written, the exit code and how long the example ran.
+function createDiagnostics(result) {
+  const container = document.createElement("div");
+  container.classList.add("example-diagnostics");
+
+  if (result.stderr !== "") {
+    const stderr = document.createElement("pre");
+    stderr.classList.add("example-diagnostics__stderr");
+    stderr.textContent = result.stderr.trim();
+    container.appendChild(stderr);
+  }
+
+  result.errors.forEach(({ type, message, file, line }) => {
+    const error = document.createElement("pre");
+    error.classList.add("example-diagnostics__error");
+    error.textContent = file
+      ? type + ": " + message + " in " + file + " on line " + line
+      : message;
+    container.appendChild(error);
+  });
+
+  if (result.files?.length) {
+    container.appendChild(createFiles(result.files));
+  }
+
+  if (result.time !== null) {
+    const status = document.createElement("p");
+    status.classList.add("example-diagnostics__status");
+    status.innerText = "Exit code " + (result.exitCode ?? "unavailable") + " • " + Math.round(result.time) + " ms";
+    container.appendChild(status);
+  }
+
+  return container;
+}
+
+// The files an example wrote, to look at or download.
+function createFiles(files) {
+  const container = document.createElement("div");
+  container.classList.add("example-files");
+
+  const title = document.createElement("p");
+  title.innerText = "Files written by the example:";
+  container.appendChild(title);
+
+  files.forEach(({ path, contents }) => {
+    const file = document.createElement("details");
+    file.classList.add("example-files__file");
+
+    const summary = document.createElement("summary");
+    summary.innerText = path + " (" + contents.length + " bytes)";
+    file.appendChild(summary);
+
+    const pre = document.createElement("pre");
+    pre.textContent = new TextDecoder().decode(contents);
+    file.appendChild(pre);
+
+    const download = document.createElement("button");
+    download.setAttribute("type", "button");
+    download.innerText = "Download";
+    download.onclick = () => {
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(new Blob([contents]));
+      link.download = path.split("/").pop();
+      link.click();
+      URL.revokeObjectURL(link.href);
+    };
+    file.appendChild(download);
+
+    container.appendChild(file);
+  });
+
+  return container;
+}
+
+// The output compared to the documented output, ignoring trailing
+// whitespace.
+function matchesDocumentedOutput(documentedOutput, stdout) {
+  return stdout.trimEnd() === documentedOutput.trimEnd();
+}
+
+function createComparison(documentedOutput, stdout) {
+  const fragment = document.createDocumentFragment();
+  const status = document.createElement("p");
+  fragment.appendChild(status);
+
+  if (matchesDocumentedOutput(documentedOutput, stdout)) {
+    status.classList.add("example-comparison__same");
+    status.innerText = "Same as the documented output.";
+    return fragment;
+  }
+
+  status.classList.add("example-comparison__different");
+  status.innerText = "Differs from the documented output:";
+  fragment.appendChild(createDiff(documentedOutput.trimEnd(), stdout.trimEnd()));
+  return fragment;
+}
+
+// Nothing the output refers to is loaded, only inline styles and images.
+const RENDERED_OUTPUT_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+// HTML output, as source or rendered in a frame sandboxed so that no script
+// runs and nothing can reach the page.
+function createHtmlOutput(html) {
+  const container = document.createElement("div");
+  container.classList.add("example-html");
+
+  const toggle = document.createElement("div");
+  toggle.classList.add("example-html__toggle");
+  toggle.setAttribute("role", "group");
+  toggle.setAttribute("aria-label", "Output view");
+  container.appendChild(toggle);
+
+  const pre = document.createElement("pre");
+  pre.classList.add("examplescode");
+  pre.textContent = html;
+  container.appendChild(pre);
+
+  const frame = document.createElement("iframe");
+  frame.classList.add("example-html__frame");
+  frame.setAttribute("sandbox", "");
+  frame.title = "Rendered output";
+  frame.srcdoc = '<meta http-equiv="Content-Security-Policy" content="' + RENDERED_OUTPUT_POLICY + '">' + html;
+  container.appendChild(frame);
+
+  const views = [["Rendered", frame], ["Raw", pre]];
+  const buttons = views.map(([label, view]) => {
+    const button = document.createElement("button");
+    button.setAttribute("type", "button");
+    button.innerText = label;
+    button.onclick = () => show(view);
+    toggle.appendChild(button);
+    return button;
+  });
+  const show = (shown) => {
+    views.forEach(([, view], index) => {
+      view.hidden = view !== shown;
+      buttons[index].setAttribute("aria-pressed", String(view === shown));
+    });
+  };
+  show(frame);
+
+  return container;
+}
+
+// The documented output, if any, is kept and the output of the run is
+// compared to it. Examples that generate HTML can also show it rendered.
+function createOutput(result, version, documentedOutput = null, rendersHtml = false) {
   const container = document.createElement("div");
   container.classList.add("screen", "example-contents");
 
-  if (output != "") {
+  if (documentedOutput !== null) {
     const title = document.createElement("p");
-    title.innerText = generateExampleOutputTitle(PHP.version);
+    title.innerText = generateExampleOutputTitle(version);
+    container.appendChild(title);
+    container.appendChild(createComparison(documentedOutput, result.stdout));
+    if (rendersHtml && result.stdout != "") {
+      container.appendChild(createHtmlOutput(result.stdout));
+    }
+  } else if (result.stdout != "") {
+    const title = document.createElement("p");
+    title.innerText = generateExampleOutputTitle(version);
+    container.appendChild(title);
+    if (rendersHtml) {
+      container.appendChild(createHtmlOutput(result.stdout));
+    } else {
+      const div = document.createElement("div");
+      div.classList.add("examplescode");
+      container.appendChild(div);
+      const pre = document.createElement("pre");
+      pre.classList.add("examplescode");
+      pre.textContent = result.stdout;
+      div.appendChild(pre);
+    }
+  } else if (result.stderr == "" && !result.errors.length) {
+    const title = document.createElement("p");
+    title.innerText = "This example did not produce any output."
     container.appendChild(title);
-    const div = document.createElement("div");
-    div.classList.add("examplescode");
-    container.appendChild(div);
-    const pre = document.createElement("pre");
-    pre.classList.add("examplescode");
-    pre.innerText = output;
-    div.appendChild(pre);
-    return container;
   }
 
-  const title = document.createElement("p");
-  title.innerText = "This example did not produce any output."
-  container.appendChild(title);
+  container.appendChild(createDiagnostics(result));
   return container;
 }
 
-class PHP {
-  static buffer = [];
-  static runPhp = null;
-  static version = '';
-  static async loadPhp() {
-    if (PHP.runPhp) {
-      return PHP.runPhp;
+// The result of an example that did not run to completion.
+function createFailedResult(error) {
+  return { stdout: "", stderr: "", errors: [{ message: error.message }], exitCode: null, time: null };
+}
+
+// Compare two outputs line by line, marking each line as the same in both,
+// removed from the expected output or added in the actual output.
+function diffLines(expected, actual) {
+  const a = expected.split("\n");
+  const b = actual.split("\n");
+
+  // Length of the longest common subsequence of a[i..] and b[j..].
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({ type: "same", line: a[i++] });
+      j++;
+    } else if (j === b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      diff.push({ type: "removed", line: a[i++] });
+    } else {
+      diff.push({ type: "added", line: b[j++] });
     }
+  }
+  return diff;
+}
 
-    const { ccall } = await phpBinary({
-      print(data) {
-        if (!data) {
-          return;
-        }
+function createDiff(expected, actual) {
+  const pre = document.createElement("pre");
+  pre.classList.add("example-diff");
+  diffLines(expected, actual).forEach(({ type, line }) => {
+    const element = document.createElement(type === "same" ? "span" : type === "added" ? "ins" : "del");
+    element.textContent = line + "\n";
+    pre.appendChild(element);
+  });
+  return pre;
+}
 
-        if (PHP.buffer.length) {
-          PHP.buffer.push("\n");
+// Encode the code of an example for a URL, compressed and in base64url.
+async function compressCode(code) {
+  const stream = new Blob([code]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function decompressCode(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+// An example shared with "#example=<id>&code=<code>", where
+// the id is the one of the .example element, or the position of the example
+// among the interactive ones of the page if it has none.
+function readSharedExample() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  if (!params.has("example") || !params.has("code")) {
+    return null;
+  }
+  return {
+    id: params.get("example"),
+    code: params.get("code"),
+  };
+}
+
+// The downloaded part of PHP, as a percentage if the total is known.
+function formatProgress(loaded, total) {
+  if (total) {
+    return Math.floor(loaded / total * 100) + "%";
+  }
+  return (loaded / 1024 / 1024).toFixed(1) + " MB";
+}
+
+// Split command line arguments on whitespace, except within double quotes.
+function splitArguments(text) {
+  return [...text.matchAll(/"([^"]*)"|(\S+)/g)].map(([, quoted, word]) => quoted ?? word);
+}
+
+// Dispatches "progress" events while PHP loads, with the phase ("download"
+// or "compile") and the downloaded and total bytes as detail.
+class PHP extends EventTarget {
+  // Milliseconds an example may run before its worker is terminated. An
+  // example can set its own limit, in seconds, with data-timeout on the
+  // .phpcode block.
+  static timeout = 10000;
+  static instance = null;
+
+  // Shared by all examples.
+  static get() {
+    PHP.instance ??= new PHP();
+    return PHP.instance;
+  }
+
+  constructor() {
+    super();
+    // Unknown until the runtime reports it.
+    this.version = null;
+    this.worker = null;
+    this.ready = null;
+    this.loadFailed = false;
+    this.nextRunId = 0;
+    this.runs = new Map();
+    // Runs wait for the previous one to finish, so that their output does
+    // not interleave and only one of them counts against its timeout.
+    this.queue = Promise.resolve();
+  }
+
+  loadPhp() {
+    if (this.ready) {
+      return this.ready;
+    }
+
+    const worker = new Worker("/js/interactive-examples-worker.js", { type: "module" });
+    this.worker = worker;
+    this.ready = new Promise((resolve, reject) => {
+      const fail = (message) => {
+        const error = new Error("Failed to load PHP: " + message);
+        this.loadFailed = true;
+        this.terminate(error);
+        reject(error);
+      };
+
+      worker.addEventListener("message", ({ data }) => {
+        switch (data.type) {
+          case "progress":
+            this.dispatchEvent(new CustomEvent("progress", { detail: data }));
+            break;
+
+          case "ready":
+            this.loadFailed = false;
+            this.version = data.version;
+            console.log("PHP wasm %s loaded.", this.version);
+            resolve(data.version);
+            break;
+
+          case "error":
+            // Either a run failed, or the runtime did not load.
+            if (data.id !== undefined) {
+              this.runs.get(data.id)?.reject(new Error(data.message));
+              this.runs.delete(data.id);
+            } else {
+              fail(data.message);
+            }
+            break;
+
+          case "result":
+            this.runs.get(data.id)?.resolve(data.result);
+            this.runs.delete(data.id);
+            break;
         }
-        PHP.buffer.push(data);
-      },
+      });
+      worker.addEventListener("error", (event) => fail(event.message));
     });
+    return this.ready;
+  }
+
+  // Run code once the previous runs are over. Aborting the signal cancels
+  // the run if it is still waiting, or stops it.
+  run(code, { timeout = PHP.timeout, stdin = "", argv = [], files = {}, signal = null } = {}) {
+    const turn = this.queue.then(() => this.execute(code, { timeout, stdin, argv, files, signal }));
+    this.queue = turn.catch(() => {});
+    if (!signal) {
+      return turn;
+    }
+
+    const aborted = new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => reject(new Error("Execution stopped.")), { once: true });
+    });
+    return Promise.race([turn, aborted]);
+  }
+
+  async execute(code, { timeout, stdin, argv, files, signal }) {
+    if (signal?.aborted) {
+      throw new Error("Execution stopped.");
+    }
+    await this.loadPhp();
+    // Stopped while PHP was loading.
+    if (signal?.aborted) {
+      throw new Error("Execution stopped.");
+    }
+
+    const id = ++this.nextRunId;
+    const timer = setTimeout(() => {
+      this.stop(new Error("Execution timed out after " + timeout / 1000 + " seconds."));
+    }, timeout);
+    const stop = () => this.stop();
+    signal?.addEventListener("abort", stop);
+
+    try {
+      return await new Promise((resolve, reject) => {
+        this.runs.set(id, { resolve, reject });
+        this.worker.postMessage({ type: "run", id, code, stdin, argv, files });
+      });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", stop);
+    }
+  }
+
+  // Terminate the worker and fail the examples that were running in it.
+  terminate(error) {
+    this.worker?.terminate();
+    this.worker = null;
+    this.ready = null;
+    this.runs.forEach(({ reject }) => reject(error));
+    this.runs.clear();
+  }
 
-    PHP.version = ccall("phpw_exec", "string", ["string"], ["phpversion();"]),
-    console.log("PHP wasm %s loaded.", PHP.version);
-    PHP.runPhp = (code) => ccall("phpw_run", null, ["string"], ["?>" + code]);
-    return PHP.runPhp;
+  // Stop the running examples, and respawn the worker right away so that the
+  // next run does not wait for PHP to load again.
+  stop(error = new Error("Execution stopped.")) {
+    this.terminate(error);
+    this.loadPhp().catch(() => {});
   }
 }
 
+// The interactive examples of the page that have a documented output.
+const documentedExamples = [];
+
+// Run every interactive example that has a documented output and report
+// those whose output differs, so that outdated outputs can be found. Call
+// checkInteractiveExamples() from the console, or open a page with
+// ?check-examples in a headless browser and wait for the
+// data-examples-checked attribute of the html element.
+async function checkExamples() {
+  const php = PHP.get();
+  const report = [];
+  for (const example of documentedExamples) {
+    let result;
+    try {
+      result = await php.run(await example.getSource(), { timeout: example.timeout, ...example.getRunOptions() });
+    } catch (error) {
+      result = createFailedResult(error);
+    }
+    report.push({
+      example: example.id,
+      version: php.version,
+      matches: matchesDocumentedOutput(example.documentedOutput, result.stdout),
+      expected: example.documentedOutput,
+      actual: result.stdout,
+      errors: result.errors,
+    });
+  }
+
+  const mismatches = report.filter(({ matches }) => !matches);
+  if (mismatches.length) {
+    console.warn("%d of %d examples do not match their documented output.", mismatches.length, report.length);
+    console.table(mismatches.map(({ example, version, errors }) => ({ example, version, errors: errors.length })));
+  } else {
+    console.log("All %d examples match their documented output.", report.length);
+  }
+  return report;
+}
+
+window.checkInteractiveExamples = checkExamples;
+
 async function main() {
   let lastOutput = null;
+  let interactiveIndex = 0;
+  const sharedExample = readSharedExample();
 
   document.querySelectorAll(".example .example-contents").forEach((example) => {
     const button = document.createElement("button");
@@ -67,40 +472,181 @@ async function main() {
     if (phpcode === null) {
       return;
     }
+    const exampleId = example.closest(".example").id || String(interactiveIndex);
+    interactiveIndex++;
 
     const exampleTitleContainer = example.nextElementSibling;
-    let exampleTitleParagraphElement = null;
+    let exampleScreenContainer = null;
     let exampleScreenPreElement = null;
     if (exampleTitleContainer !== null) {
-      exampleTitleParagraphElement = exampleTitleContainer.querySelector("p")
-      const exampleScreenContainer = exampleTitleContainer.nextElementSibling;
+      exampleScreenContainer = exampleTitleContainer.nextElementSibling;
       exampleScreenPreElement = exampleScreenContainer.querySelector("pre");
     }
+    const documentedOutput = exampleScreenPreElement?.textContent ?? null;
 
+    // The editor is only loaded once the example is focused.
+    let editor = null;
     const code = phpcode.querySelector("code");
-    code.spellcheck = false;
-    code.setAttribute("contentEditable", true);
+    const loadEditor = (value) => {
+      editor ??= import("/js/interactive-examples-editor.js").then(({ createEditor }) => {
+        const loadedEditor = createEditor(phpcode, { onRun: () => button.click(), value });
+
+        const resetButton = document.createElement("button");
+        resetButton.setAttribute("type", "button");
+        resetButton.innerText = "Reset";
+        resetButton.onclick = () => loadedEditor.reset();
+        button.after(resetButton);
+
+        return loadedEditor;
+      });
+      return editor;
+    };
+    code.tabIndex = 0;
+    code.title = "Click to edit this example";
+    code.addEventListener("focus", async () => {
+      (await loadEditor()).focus();
+    }, { once: true });
+
+    const timeout = phpcode.dataset.timeout
+      ? phpcode.dataset.timeout * 1000
+      : PHP.timeout;
+    let running = null;
+    // Examples generating HTML opt into showing it rendered with
+    // data-output="html" on the .phpcode block.
+    const rendersHtml = phpcode.dataset.output === "html";
+
+    // What CLI examples read from STDIN and find in $argv, which can be set
+    // with data-stdin and data-argv on the .phpcode block.
+    const input = document.createElement("details");
+    input.classList.add("example-input");
+    input.innerHTML = `
+      <summary>Input</summary>
+      <label>Standard input <textarea class="example-input__stdin" rows="3" spellcheck="false"></textarea></label>
+      <label>Arguments <input class="example-input__argv" type="text" spellcheck="false"></label>
+    `;
+    const stdinInput = input.querySelector(".example-input__stdin");
+    const argvInput = input.querySelector(".example-input__argv");
+    stdinInput.value = phpcode.dataset.stdin ?? "";
+    argvInput.value = phpcode.dataset.argv ?? "";
+    input.open = stdinInput.value !== "" || argvInput.value !== "";
+    // Files the example reads, as a JSON object of contents by path in
+    // data-files on the .phpcode block. Relative paths are created in the
+    // working directory of the example.
+    let files = {};
+    if (phpcode.dataset.files) {
+      try {
+        files = JSON.parse(phpcode.dataset.files);
+      } catch (error) {
+        console.error("Invalid data-files of example %s", exampleId, error);
+      }
+    }
+
+    const getRunOptions = () => ({
+      stdin: stdinInput.value,
+      argv: splitArguments(argvInput.value),
+      files,
+    });
 
     button.innerText = "Run code";
     button.onclick = async function () {
+      if (running) {
+        running.abort();
+        return;
+      }
+
       if (lastOutput && lastOutput.parentNode) {
         lastOutput.remove();
       }
 
-      const runPhp = await PHP.loadPhp();
-      runPhp(phpcode.innerText);
-      if (exampleScreenPreElement !== null) {
-        exampleTitleParagraphElement.innerText = generateExampleOutputTitle(PHP.version);
-        exampleScreenPreElement.innerText = PHP.buffer.join("");
+      const controller = new AbortController();
+      running = controller;
+      button.innerText = "Stop";
+      const php = PHP.get();
+      const showProgress = ({ detail }) => {
+        button.innerText = detail.phase === "compile"
+          ? "Preparing PHP…"
+          : "Loading PHP… " + formatProgress(detail.loaded, detail.total);
+      };
+      php.addEventListener("progress", showProgress);
+      php.loadPhp().then(() => {
+        if (running === controller) {
+          button.innerText = "Stop";
+        }
+      }, () => {});
+
+      let result;
+      try {
+        const source = editor ? (await editor).getValue() : code.innerText;
+        result = await php.run(source, { timeout, ...getRunOptions(), signal: controller.signal });
+      } catch (error) {
+        result = createFailedResult(error);
+      } finally {
+        php.removeEventListener("progress", showProgress);
+        running = null;
+        // Running again loads PHP again, so a failed load can be retried.
+        button.innerText = php.loadFailed ? "Retry" : "Run code";
+      }
+
+      lastOutput = createOutput(result, php.version, documentedOutput, rendersHtml);
+
+      if (exampleScreenContainer !== null) {
+        exampleScreenContainer.after(lastOutput);
       } else {
-        lastOutput = createOutput(PHP.buffer.join(""));
         phpcode.parentNode.appendChild(lastOutput);
       }
-      PHP.buffer.length = 0;
+    };
+
+    if (documentedOutput !== null) {
+      documentedExamples.push({
+        id: exampleId,
+        documentedOutput,
+        timeout,
+        getRunOptions,
+        getSource: async () => editor ? (await editor).getValue() : code.innerText,
+      });
+    }
+
+    const shareButton = document.createElement("button");
+    shareButton.setAttribute("type", "button");
+    shareButton.innerText = "Share";
+    shareButton.onclick = async function () {
+      const source = editor ? (await editor).getValue() : code.innerText;
+      const params = new URLSearchParams({ example: exampleId, code: await compressCode(source) });
+
+      const url = new URL(window.location.href);
+      url.hash = params.toString();
+      history.replaceState(history.state, "", url);
+      try {
+        await navigator.clipboard.writeText(url.href);
+        flashMessage({ text: "Link to the edited example copied to the clipboard." });
+      } catch (error) {
+        flashMessage({ type: "info", text: "Copy the link to the edited example from the address bar." });
+      }
     };
 
     phpcode.after(button);
+    button.after(shareButton);
+    shareButton.after(input);
+
+    if (sharedExample?.id === exampleId) {
+      decompressCode(sharedExample.code)
+        .then((source) => loadEditor(source))
+        .then(() => example.scrollIntoView())
+        .catch((error) => console.error("Failed to restore the shared example", error));
+    }
   });
 }
 
 main();
+
+const checkParams = new URLSearchParams(window.location.search);
+if (checkParams.has("check-examples")) {
+  checkExamples()
+    .then((report) => {
+      document.documentElement.dataset.examplesChecked = report.every(({ matches }) => matches) ? "pass" : "fail";
+    })
+    .catch((error) => {
+      console.error(error);
+      document.documentElement.dataset.examplesChecked = "error";
+    });
+}
@@ -27,19 +27,41 @@ $types = array(
 );
  */
 
+/*
+ * Every entry is [name, description, tag], followed by
+ * [signature, introduced, deprecated, removed, extension] when the manual
+ * build provides details for it. Bump this when the format changes, so that
+ * clients do not revalidate copies in the old format.
+ */
+const SEARCH_INDEX_FORMAT = 2;
+
 $indexfile = $_SERVER["DOCUMENT_ROOT"] . "/manual/$lang/search-index.json";
 $descfile = $_SERVER["DOCUMENT_ROOT"] . "/manual/$lang/search-description.json";
+/* Optional, keyed by ID like the descriptions */
+$detailsfile = $_SERVER["DOCUMENT_ROOT"] . "/manual/$lang/search-details.json";
 
 /* {{{ Cache this */
 $time = max(filemtime($indexfile), filemtime($descfile));
+if (is_readable($detailsfile)) {
+    $time = max($time, filemtime($detailsfile));
+}
 $tsstring = gmdate("D, d M Y H:i:s ", $time) . "GMT";
-if (isset($_SERVER["HTTP_IF_MODIFIED_SINCE"]) &&
-    ($_SERVER["HTTP_IF_MODIFIED_SINCE"] == $tsstring)) {
+$etag = '"' . $lang . '-' . dechex($time) . '-' . SEARCH_INDEX_FORMAT . '"';
+/* If-Modified-Since is ignored when an ETag is sent (RFC 9110, 13.1.3), as
+ * it cannot tell copies in an older format apart. */
+if (isset($_SERVER["HTTP_IF_NONE_MATCH"])) {
+    $notModified = $_SERVER["HTTP_IF_NONE_MATCH"] == $etag;
+} else {
+    $notModified = isset($_SERVER["HTTP_IF_MODIFIED_SINCE"]) &&
+        $_SERVER["HTTP_IF_MODIFIED_SINCE"] == $tsstring;
+}
+if ($notModified) {
     header("HTTP/1.1 304 Not Modified");
     exit;
 }
 
 header("Last-Modified: " . $tsstring);
+header("ETag: " . $etag);
 header("Content-Type: application/javascript");
 /* }}} */
 
@@ -63,4 +85,22 @@ foreach ($js as $k => $item) {
     }
 }
 
+if (is_readable($detailsfile)) {
+    $s = file_get_contents($detailsfile);
+    $js = json_decode($s, true);
+
+    foreach ($js as $k => $item) {
+        if ($item && isset($index[$k])) {
+            array_push(
+                $index[$k],
+                $item["signature"] ?? null,
+                $item["introduced"] ?? null,
+                $item["deprecated"] ?? null,
+                $item["removed"] ?? null,
+                $item["extension"] ?? null,
+            );
+        }
+    }
+}
+
 echo json_encode($index);
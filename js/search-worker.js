@@ -0,0 +1,329 @@
+/**
+ * Web Worker that loads the search index and runs FuzzySearch queries off the
+ * main thread. Spawned by initPHPSearch() in search.js, which it imports for
+ * the query parsing, ranking and index cache shared with the rest of the page.
+ */
+// The UMD build of FuzzySearch exports itself on window, which workers lack.
+self.window = self;
+importScripts("/js/ext/FuzzySearch.min.js", "/js/search.js");
+
+/**
+ * Load the search index for a given language and set up FuzzySearch.
+ *
+ * @param {string} language The language for which the search index should be
+ * loaded.
+ * @param {Array} rankingRules The rules used to rank results.
+ * @param {{ids: Array<string>}} context The page the search is started from,
+ * completed with the extensions it belongs to once the index is loaded.
+ * @returns {Promise<(query: string, limit: number) => Array>} A function that
+ * takes a query and returns at most limit results from the loaded index.
+ */
+const createPHPSearch = async (language, rankingRules, context) => {
+    // Markers wrapped around matches by FuzzySearch's highlight(), chosen so
+    // they cannot appear in the index.
+    const HIGHLIGHT_BEFORE = "\u0002";
+    const HIGHLIGHT_AFTER = "\u0003";
+
+    /**
+     * Converts the structure from search-index.php into an array of objects,
+     * mapping the index entries to their respective types. Entries are
+     * [name, description, tag], optionally followed by
+     * [signature, introduced, deprecated, removed, extension].
+     *
+     * @param {object} index
+     * @returns {Array}
+     */
+    const processIndex = (index) => {
+        return Object.entries(index)
+            .map(([id, entry]) => {
+                const [
+                    name,
+                    description,
+                    tag,
+                    signature = null,
+                    introduced = null,
+                    deprecated = null,
+                    removed = null,
+                    extension = null,
+                ] = entry;
+                if (!name) return null;
+
+                let type = "General";
+                switch (tag) {
+                    case "phpdoc:varentry":
+                        type = "Variable";
+                        break;
+
+                    case "refentry":
+                        type = "Function";
+                        break;
+
+                    case "phpdoc:exceptionref":
+                        type = "Exception";
+                        break;
+
+                    case "phpdoc:classref":
+                        type = "Class";
+                        break;
+
+                    case "set":
+                    case "book":
+                    case "reference":
+                        type = "Extension";
+                        break;
+                }
+
+                return {
+                    id,
+                    name,
+                    description,
+                    tag,
+                    type,
+                    methodName: name.split("::").pop(),
+                    signature,
+                    introduced,
+                    deprecated,
+                    removed,
+                    extension,
+                };
+            })
+            .filter(Boolean);
+    };
+
+    /**
+     * Looks up the search index cached in IndexedDB.
+     *
+     * @returns {Promise<object|null>}
+     */
+    const lookupIndexCache = async () => {
+        try {
+            return await readSearchIndexCache(language);
+        } catch (e) {
+            // IndexedDB might be unavailable, e.g. in private browsing.
+            console.error("Failed to read cached search index", e);
+            return null;
+        }
+    };
+
+    /**
+     * Fetch the search index, revalidating the cached copy if there is one.
+     *
+     * @param {object|null} cached The cached index record.
+     * @returns {Promise<Array>} The search index.
+     */
+    const fetchIndex = async (cached) => {
+        const headers = {};
+        if (cached?.lastModified) {
+            headers["If-Modified-Since"] = cached.lastModified;
+        }
+        if (cached?.etag) {
+            headers["If-None-Match"] = cached.etag;
+        }
+
+        const response = await fetch(`/js/search-index.php?lang=${language}`, {
+            headers,
+            cache: "no-cache",
+        });
+        if (response.status === 304 && cached) {
+            return cached.data;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch search index: ${response.status}`);
+        }
+
+        const items = processIndex(await response.json());
+
+        try {
+            await writeSearchIndexCache({
+                language,
+                lastModified: response.headers.get("Last-Modified"),
+                etag: response.headers.get("ETag"),
+                data: items,
+                time: Date.now(),
+            });
+        } catch (e) {
+            // Storage quota might be exceeded, or other error.
+            // Just continue without caching.
+            console.error("Failed to cache search index", e);
+        }
+
+        return items;
+    };
+
+    /**
+     * Loads the search index, using the cached copy if it is still current
+     * or if the server cannot be reached.
+     *
+     * @returns {Promise<Array>}
+     */
+    const loadIndex = async () => {
+        const cached = await lookupIndexCache();
+        try {
+            return await fetchIndex(cached);
+        } catch (error) {
+            if (cached) {
+                return cached.data;
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Load the language index, falling back to English on error.
+     *
+     * @returns {Promise<Array>}
+     */
+    const loadIndexWithFallback = async () => {
+        try {
+            return await loadIndex();
+        } catch (error) {
+            if (language !== "en") {
+                language = "en";
+                return loadIndexWithFallback();
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Converts the output of FuzzySearch's highlight() into the character
+     * ranges of the matches in the original string.
+     *
+     * @param {string} highlighted The string with the matches wrapped in the
+     * highlight_before and highlight_after markers.
+     * @returns {Array<[number, number]>}
+     */
+    const toMatchRanges = (highlighted) => {
+        const ranges = [];
+        let offset = 0;
+        let start = 0;
+
+        for (const char of highlighted) {
+            if (char === HIGHLIGHT_BEFORE) {
+                start = offset;
+            } else if (char === HIGHLIGHT_AFTER) {
+                ranges.push([start, offset]);
+            } else {
+                offset += char.length;
+            }
+        }
+
+        return ranges;
+    };
+
+    /**
+     * Perform a search using the given query, honouring any type operator.
+     *
+     * @param {string} query The search query.
+     * @param {number} limit The maximum number of results.
+     * @param {(type: string|null) => object} getFuzzyhound Returns the
+     * FuzzySearch instance for the given type.
+     * @returns {Array} An array of search results, along with the ranges of
+     * the name and description that matched the query.
+     */
+    const search = (query, limit, getFuzzyhound) => {
+        const { type, terms } = parseSearchQuery(query);
+        if (!terms) {
+            return [];
+        }
+
+        const fuzzyhound = getFuzzyhound(type);
+        return rankSearchResults(
+            fuzzyhound.search(terms),
+            { terms, context },
+            rankingRules,
+        )
+            .slice(0, limit)
+            .map((result) => {
+                result.highlights = {
+                    name: toMatchRanges(fuzzyhound.highlight(result.item.name)),
+                    description: toMatchRanges(
+                        fuzzyhound.highlight(result.item.description),
+                    ),
+                };
+                return result;
+            });
+    };
+
+    const searchIndex = await loadIndexWithFallback();
+    if (!searchIndex) {
+        throw new Error("Failed to load search index");
+    }
+
+    // Entries of the extensions the page belongs to are in context too, even
+    // when the sidebar does not list them.
+    context.extensions = [
+        ...new Set(
+            searchIndex
+                .filter((item) => item.extension && context.ids.includes(item.id))
+                .map((item) => item.extension),
+        ),
+    ];
+
+    const fuzzyOptions = {
+        token_sep: " \t.,-_",
+        score_test_fused: true,
+        keys: ["name", "methodName", "description"],
+        thresh_include: 5.0,
+        thresh_relative_to_best: 0.7,
+        bonus_match_start: 0.7,
+        bonus_token_order: 1.0,
+        bonus_position_decay: 0.3,
+        token_query_min_length: 1,
+        token_field_min_length: 2,
+        output_map: "root",
+        highlight_before: HIGHLIGHT_BEFORE,
+        highlight_after: HIGHLIGHT_AFTER,
+    };
+
+    // Type-filtered searches get their own instance built over the matching
+    // subset, so that the relative score threshold is computed among results
+    // of that type only.
+    const fuzzyhounds = new Map();
+    const getFuzzyhound = (type) => {
+        if (!fuzzyhounds.has(type)) {
+            const source = type
+                ? searchIndex.filter((item) => item.type === type)
+                : searchIndex;
+            fuzzyhounds.set(type, new FuzzySearch({ source, ...fuzzyOptions }));
+        }
+        return fuzzyhounds.get(type);
+    };
+
+    return (query, limit) => search(query, limit, getFuzzyhound);
+};
+
+let searchCallback = null;
+
+self.addEventListener("message", async ({ data }) => {
+    switch (data.type) {
+        case "init":
+            try {
+                searchCallback = await createPHPSearch(
+                    data.language,
+                    data.rankingRules,
+                    data.context,
+                );
+                self.postMessage({ type: "ready" });
+            } catch (error) {
+                self.postMessage({ type: "error", message: String(error) });
+            }
+            break;
+
+        case "search":
+            try {
+                self.postMessage({
+                    type: "results",
+                    id: data.id,
+                    results: searchCallback(data.query, data.limit),
+                });
+            } catch (error) {
+                self.postMessage({
+                    type: "error",
+                    id: data.id,
+                    message: String(error),
+                });
+            }
+            break;
+    }
+});
@@ -1,197 +1,314 @@
 /**
- * Initialize the PHP search functionality with a given language.
- * Loads the search index, sets up FuzzySearch, and returns a search function.
+ * Query operators that restrict the search to a single result type, e.g.
+ * "class:DateTime" or "fn:array_".
+ */
+const SEARCH_TYPE_OPERATORS = {
+    fn: "Function",
+    function: "Function",
+    class: "Class",
+    exception: "Exception",
+    var: "Variable",
+    ext: "Extension",
+    guide: "General",
+};
+
+/**
+ * Split a search query into its type operator and the remaining terms.
+ * Unknown operators are left in place and searched for as regular text.
  *
- * @param {string} language The language for which the search index should be
- * loaded.
- * @returns {Promise<(query: string) => Array>} A function that takes a query
- * and performs a search using the loaded index.
+ * @param {string} query The raw search query.
+ * @returns {{operator: string|null, type: string|null, terms: string}}
  */
-const initPHPSearch = async (language) => {
-    const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
-    const CACHE_DAYS = 14;
+const parseSearchQuery = (query) => {
+    const match = query.match(/^\s*([a-z]+):\s*(.*)$/i);
+    if (match) {
+        const operator = match[1].toLowerCase();
+        const type = SEARCH_TYPE_OPERATORS[operator];
+        if (type) {
+            return { operator, type, terms: match[2].trim() };
+        }
+    }
 
-    /**
-     * Converts the structure from search-index.php into an array of objects,
-     * mapping the index entries to their respective types.
-     *
-     * @param {object} index
-     * @returns {Array}
-     */
-    const processIndex = (index) => {
-        return Object.entries(index)
-            .map(([id, [name, description, tag]]) => {
-                if (!name) return null;
-
-                let type = "General";
-                switch (tag) {
-                    case "phpdoc:varentry":
-                        type = "Variable";
-                        break;
-
-                    case "refentry":
-                        type = "Function";
-                        break;
-
-                    case "phpdoc:exceptionref":
-                        type = "Exception";
-                        break;
-
-                    case "phpdoc:classref":
-                        type = "Class";
-                        break;
-
-                    case "set":
-                    case "book":
-                    case "reference":
-                        type = "Extension";
-                        break;
-                }
+    return { operator: null, type: null, terms: query.trim() };
+};
 
-                return {
-                    id,
-                    name,
-                    description,
-                    tag,
-                    type,
-                    methodName: name.split("::").pop(),
-                };
-            })
-            .filter(Boolean);
-    };
+/**
+ * Rules used to rank search results. Each rule adds its boost to the score of
+ * the results that satisfy every condition in its "when" clause, see
+ * SEARCH_RANKING_CONDITIONS for the available conditions. Negative boosts
+ * demote results.
+ */
+const SEARCH_RANKING_RULES = [
+    // Boost Language Reference matches.
+    { when: { idPrefix: "language" }, boost: 10 },
+    // So that "strlen" outranks "mb_strlen".
+    { when: { exactName: true }, boost: 20 },
+    { when: { type: "Class" }, boost: 2 },
+    { when: { type: "Exception" }, boost: 1 },
+    { when: { deprecated: true }, boost: -15 },
+    // Results from the extension or chapter being browsed.
+    { when: { inContext: true }, boost: 5 },
+];
 
-    /**
-     * Looks up the search index cached in localStorage.
-     *
-     * @returns {Array|null}
-     */
-    const lookupIndexCache = () => {
-        const key = `search-${language}`;
-        const cache = window.localStorage.getItem(key);
+/**
+ * Conditions of the ranking rules, called with the result item, the value
+ * of the condition in the rule, and the terms and context of the search.
+ */
+const SEARCH_RANKING_CONDITIONS = {
+    // The id starts with the given string.
+    idPrefix: (item, prefix) => item.id.startsWith(prefix),
 
-        if (!cache) {
-            return null;
-        }
+    // The name or method name equals the search terms, ignoring case.
+    exactName: (item, expected, { terms }) => {
+        const needle = terms.toLowerCase();
+        const isExact = [item.name, item.methodName].some(
+            (name) => name.toLowerCase() === needle,
+        );
+        return isExact === expected;
+    },
 
-        const { data, time: cachedDate } = JSON.parse(cache);
+    // The type of the result, as in SEARCH_TYPE_OPERATORS.
+    type: (item, type) => item.type === type,
 
-        // Invalidate old search cache format (previously an object)
-        // TODO: Remove this check once the new search index (a single array)
-        // has been in use for a while.
-        if (!Array.isArray(data)) {
-            console.log("Invalidating old search cache format");
-            return null;
-        }
+    // The index marks the entry as deprecated or removed.
+    deprecated: (item, expected) =>
+        Boolean(item.deprecated || item.removed) === expected,
 
-        const expireDate = cachedDate + CACHE_DAYS * MILLISECONDS_PER_DAY;
+    // The entry is listed by the page the search is started from, or belongs
+    // to the same extension.
+    inContext: (item, expected, { context }) =>
+        (context.ids.includes(item.id) ||
+            Boolean(
+                item.extension &&
+                    context.extensions?.includes(item.extension),
+            )) === expected,
+};
 
-        if (Date.now() > expireDate) {
-            return null;
-        }
+/**
+ * Apply the ranking rules to FuzzySearch results and sort them by score.
+ *
+ * @param {Array} results The FuzzySearch results, scores are updated in place.
+ * @param {{terms: string, context: {ids: Array<string>, extensions?: Array<string>}}} search
+ * The search terms, without type operator, and the context returned by
+ * getSearchContext().
+ * @param {Array} rules The ranking rules, see SEARCH_RANKING_RULES.
+ * @returns {Array} The ranked results.
+ */
+const rankSearchResults = (results, search, rules = SEARCH_RANKING_RULES) => {
+    rules.forEach(({ when }) => {
+        Object.keys(when).forEach((name) => {
+            if (!SEARCH_RANKING_CONDITIONS[name]) {
+                throw new Error(`Unknown search ranking condition "${name}"`);
+            }
+        });
+    });
 
-        return data;
-    };
+    results.forEach((result) => {
+        rules.forEach(({ when, boost }) => {
+            const matches = Object.entries(when).every(([name, value]) =>
+                SEARCH_RANKING_CONDITIONS[name](result.item, value, search),
+            );
+            if (matches) {
+                result.score += boost;
+            }
+        });
+    });
 
-    /**
-     * Fetch the search index.
-     *
-     * @returns {Promise<Array>} The search index.
-     */
-    const fetchIndex = async () => {
-        const key = `search-${language}`;
-        const response = await fetch(`/js/search-index.php?lang=${language}`);
-        const data = await response.json();
-        const items = processIndex(data);
+    return results.sort((a, b) => b.score - a.score);
+};
 
-        try {
-            localStorage.setItem(
-                key,
-                JSON.stringify({
-                    data: items,
-                    time: Date.now(),
-                }),
-            );
-        } catch (e) {
-            // Local storage might be full, or other error.
-            // Just continue without caching.
-            console.error("Failed to cache search index", e);
-        }
+/**
+ * Describe the page the search is started from: the ids of the manual pages
+ * listed in its sidebar, which belong to the same extension or chapter.
+ *
+ * @returns {{ids: Array<string>}}
+ */
+const getSearchContext = () => {
+    const ids = [...document.querySelectorAll(".layout-menu a")]
+        .map((link) => link.pathname.match(/^\/manual\/[^/]+\/(.+)\.php$/))
+        .filter(Boolean)
+        .map((match) => decodeURIComponent(match[1]));
 
-        return items;
-    };
+    return { ids };
+};
 
-    /**
-     * Loads the search index, using cache if available.
-     *
-     * @returns {Promise<Array>}
-     */
-    const loadIndex = async () => {
-        const cached = lookupIndexCache();
-        return cached || fetchIndex();
-    };
+/**
+ * Version of the processed index stored by writeSearchIndexCache(). Bump it
+ * whenever processIndex() in search-worker.js changes its output, so that
+ * indexes cached in the old format are discarded.
+ */
+const SEARCH_INDEX_CACHE_FORMAT = 2;
 
-    /**
-     * Load the language index, falling back to English on error.
-     *
-     * @returns {Promise<Array>}
-     */
-    const loadIndexWithFallback = async () => {
-        try {
-            return await loadIndex();
-        } catch (error) {
-            if (language !== "en") {
-                language = "en";
-                return loadIndexWithFallback();
-            }
-            throw error;
-        }
-    };
+/**
+ * Open the IndexedDB database holding the processed search indexes, one
+ * record per language.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+const openSearchIndexCache = () =>
+    new Promise((resolve, reject) => {
+        const request = indexedDB.open("search-index", 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore("indexes", {
+                keyPath: "language",
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 
-    /**
-     * Perform a search using the given query and a FuzzySearch instance.
-     *
-     * @param {string} query The search query.
-     * @param {object} fuzzyhound The FuzzySearch instance to use for searching.
-     * @returns {Array} An array of search results.
-     */
-    const search = (query, fuzzyhound) => {
-        return fuzzyhound
-            .search(query)
-            .map((result) => {
-                // Boost Language Reference matches.
-                if (result.item.id.startsWith("language")) {
-                    result.score += 10;
-                }
-                return result;
-            })
-            .sort((a, b) => b.score - a.score);
-    };
+/**
+ * Look up the cached search index of a language.
+ *
+ * @param {string} language
+ * @returns {Promise<{language: string, format: number, lastModified:
+ * string|null, etag: string|null, data: Array, time: number}|null>} The
+ * cached record, or null if there is none in the current format.
+ */
+const readSearchIndexCache = async (language) => {
+    const db = await openSearchIndexCache();
+    const record = await new Promise((resolve, reject) => {
+        const request = db
+            .transaction("indexes", "readonly")
+            .objectStore("indexes")
+            .get(language);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    db.close();
 
-    const searchIndex = await loadIndexWithFallback();
-    if (!searchIndex) {
-        throw new Error("Failed to load search index");
+    if (!record || record.format !== SEARCH_INDEX_CACHE_FORMAT) {
+        return null;
     }
 
-    fuzzyhound = new FuzzySearch({
-        source: searchIndex,
-        token_sep: " \t.,-_",
-        score_test_fused: true,
-        keys: ["name", "methodName", "description"],
-        thresh_include: 5.0,
-        thresh_relative_to_best: 0.7,
-        bonus_match_start: 0.7,
-        bonus_token_order: 1.0,
-        bonus_position_decay: 0.3,
-        token_query_min_length: 1,
-        token_field_min_length: 2,
-        output_map: "root",
+    return record;
+};
+
+/**
+ * Store the search index of a language, replacing any previous copy.
+ *
+ * @param {object} record The record to store, keyed by its language.
+ * @returns {Promise<void>}
+ */
+const writeSearchIndexCache = async (record) => {
+    const db = await openSearchIndexCache();
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction("indexes", "readwrite");
+        transaction
+            .objectStore("indexes")
+            .put({ ...record, format: SEARCH_INDEX_CACHE_FORMAT });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
     });
+    db.close();
+};
 
-    return (query) => search(query, fuzzyhound);
+/**
+ * Initialize the PHP search functionality with a given language.
+ * Loads the search index and sets up FuzzySearch in a Web Worker (see
+ * search-worker.js), and returns a function to query it.
+ *
+ * @param {string} language The language for which the search index should be
+ * loaded.
+ * @param {object} options
+ * @param {Array} options.rankingRules The rules used to rank results, see
+ * SEARCH_RANKING_RULES.
+ * @returns {Promise<(query: string, limit: number) => Promise<Array>>} A
+ * function that takes a query and resolves with at most limit results from
+ * the loaded index.
+ */
+const initPHPSearch = (
+    language,
+    { rankingRules = SEARCH_RANKING_RULES } = {},
+) => {
+    // The index used to be cached in localStorage as search-<language>, free
+    // up that space for every language the visitor has searched in.
+    try {
+        Object.keys(localStorage)
+            .filter((key) => /^search-[A-Za-z_]+$/.test(key))
+            .forEach((key) => localStorage.removeItem(key));
+    } catch (e) {
+        // Local storage might be disabled, there is nothing to free then.
+    }
+
+    const worker = new Worker("/js/search-worker.js");
+    const pending = new Map();
+    let lastRequestId = 0;
+    let failure = null;
+
+    return new Promise((resolve, reject) => {
+        /**
+         * Stop the worker, rejecting the initialization if it is still
+         * pending, the searches in progress and those made afterwards.
+         *
+         * @param {Error} error
+         */
+        const fail = (error) => {
+            if (failure) {
+                return;
+            }
+            failure = error;
+            worker.terminate();
+            reject(error);
+            pending.forEach(({ reject: rejectResults }) => rejectResults(error));
+            pending.clear();
+        };
+
+        worker.addEventListener("message", ({ data }) => {
+            switch (data.type) {
+                case "ready":
+                    resolve((query, limit) => {
+                        if (failure) {
+                            return Promise.reject(failure);
+                        }
+                        const id = ++lastRequestId;
+                        worker.postMessage({ type: "search", id, query, limit });
+                        return new Promise((resolveResults, rejectResults) =>
+                            pending.set(id, {
+                                resolve: resolveResults,
+                                reject: rejectResults,
+                            }),
+                        );
+                    });
+                    break;
+
+                case "results":
+                    pending.get(data.id)?.resolve(data.results);
+                    pending.delete(data.id);
+                    break;
+
+                case "error":
+                    // Either a search failed, or the index did not load.
+                    if (data.id !== undefined) {
+                        pending.get(data.id)?.reject(new Error(data.message));
+                        pending.delete(data.id);
+                    } else {
+                        fail(new Error(data.message));
+                    }
+                    break;
+            }
+        });
+
+        // The script failed to load, or threw outside of a message handler.
+        worker.addEventListener("error", (event) => {
+            event.preventDefault();
+            fail(new Error(event.message || "The search worker failed."));
+        });
+
+        worker.postMessage({
+            type: "init",
+            language,
+            rankingRules,
+            context: getSearchContext(),
+        });
+    });
 };
 
 /**
  * Initialize the search modal, handling focus trap and modal transitions.
+ * The "/" shortcut opening it is registered by common.js.
+ *
+ * @returns {{show: function(string=): void}}
  */
 const initSearchModal = () => {
     const backdropElement = document.getElementById("search-modal__backdrop");
@@ -227,14 +344,49 @@ const initSearchModal = () => {
     const documentWidth = document.documentElement.clientWidth;
     const scrollbarWidth = Math.abs(window.innerWidth - documentWidth);
 
-    const show = function () {
-        if (
-            backdropElement.classList.contains("show") ||
-            backdropElement.classList.contains("showing")
-        ) {
+    const isOpen = () =>
+        backdropElement.classList.contains("show") ||
+        backdropElement.classList.contains("showing");
+
+    /**
+     * Read the query of a "#search=..." fragment.
+     *
+     * @returns {string|null} The query, or null if there is no such fragment.
+     */
+    const readSearchFragment = () => {
+        const match = window.location.hash.match(/^#search=(.*)$/);
+        return match ? decodeURIComponent(match[1]) : null;
+    };
+
+    /**
+     * Build the URL of the current page with the given fragment.
+     *
+     * @param {string} hash The fragment, including the "#", or "".
+     * @returns {string}
+     */
+    const urlWithHash = (hash) =>
+        window.location.pathname + window.location.search + hash;
+
+    const searchHash = (query) => `#search=${encodeURIComponent(query)}`;
+
+    /**
+     * @param {string} query The query to fill the input with.
+     * @param {boolean} fromHistory Whether the modal is reopened by the
+     * browser history, in which case no history entry is added.
+     */
+    const show = function (query = "", fromHistory = false) {
+        if (isOpen()) {
             return;
         }
 
+        if (!fromHistory) {
+            window.history.pushState(
+                { searchModal: true },
+                "",
+                urlWithHash(searchHash(query)),
+            );
+        }
+
         document.body.style.overflow = "hidden";
         document.documentElement.style.overflow = "hidden";
         resultsElement.innerHTML = "";
@@ -244,7 +396,8 @@ const initSearchModal = () => {
         backdropElement.setAttribute("role", "dialog");
         backdropElement.classList.add("showing");
         inputElement.focus();
-        inputElement.value = "";
+        inputElement.value = query;
+        inputElement.dispatchEvent(new Event("input"));
         document.addEventListener("keydown", focusTrapHandler);
 
         onModalTransitionEnd(() => {
@@ -253,11 +406,24 @@ const initSearchModal = () => {
         });
     };
 
-    const hide = function () {
+    /**
+     * @param {boolean} fromHistory Whether the modal is closed by the browser
+     * history, in which case the history is left alone.
+     */
+    const hide = function (fromHistory = false) {
         if (!backdropElement.classList.contains("show")) {
             return;
         }
 
+        if (!fromHistory) {
+            if (window.history.state?.searchModal) {
+                // Drop the entry added by show(), so that Forward reopens it.
+                window.history.back();
+            } else {
+                window.history.replaceState(null, "", urlWithHash(""));
+            }
+        }
+
         backdropElement.classList.add("hiding");
         backdropElement.classList.remove("show");
         backdropElement.removeAttribute("aria-modal");
@@ -289,31 +455,55 @@ const initSearchModal = () => {
 
     // Open when the search button is clicked
     [searchButton, searchButtonMobile].forEach((button) =>
-        button.addEventListener("click", show),
+        button.addEventListener("click", () => show()),
     );
 
-    // Open when / is pressed
-    document.addEventListener("keydown", (event) => {
-        const target = event.target;
-
-        if (
-            target.contentEditable === "true" ||
-            target.tagName === "INPUT" ||
-            target.tagName === "TEXTAREA"
-        ) {
-            return;
+    // Keep the fragment in sync with the query, without adding history
+    // entries for every key stroke.
+    inputElement.addEventListener("input", () => {
+        if (isOpen()) {
+            window.history.replaceState(
+                window.history.state,
+                "",
+                urlWithHash(searchHash(inputElement.value)),
+            );
         }
+    });
 
-        if (event.key === "/") {
-            show();
-            event.preventDefault();
+    // Open and close along with the browser history
+    window.addEventListener("popstate", () => {
+        const query = readSearchFragment();
+        if (query !== null) {
+            show(query, true);
+        } else {
+            hide(true);
         }
     });
 
+    // Open when linked to with "#search=..." or "?q=...". Pages embedding
+    // their own search, such as search.php, use the q parameter themselves.
+    const params = new URLSearchParams(window.location.search);
+    let initialQuery = readSearchFragment();
+    if (initialQuery === null && !document.querySelector(".gcse-search")) {
+        initialQuery = params.get("q");
+        params.delete("q");
+    }
+    if (initialQuery !== null) {
+        // Open on top of the page without the search in its URL, so that Back
+        // closes the modal instead of leaving the page.
+        const search = params.toString();
+        window.history.replaceState(
+            null,
+            "",
+            window.location.pathname + (search ? `?${search}` : ""),
+        );
+        show(initialQuery);
+    }
+
     // Close when the close button is clicked
     document
         .querySelector(".search-modal__close")
-        .addEventListener("click", hide);
+        .addEventListener("click", () => hide());
 
     // Close when the escape key is pressed
     document.addEventListener("keydown", (event) => {
@@ -328,14 +518,16 @@ const initSearchModal = () => {
             hide();
         }
     });
+
+    return { show };
 };
 
 /**
  * Initialize the search modal UI, setting up search result rendering and
  * input handling.
  *
- * @param {object} options An object containing the search callback, language,
- * and result limit.
+ * @param {object} options An object containing the asynchronous search
+ * callback returned by initPHPSearch(), language, and result limit.
  */
 const initSearchUI = ({ searchCallback, language, limit = 30 }) => {
     const DEBOUNCE_DELAY = 200;
@@ -346,9 +538,291 @@ const initSearchUI = ({ searchCallback, language, limit = 30 }) => {
     const DOCUMENT_ICON =
         '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M6,2A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2H6M6,4H13V9H18V20H6V4M8,12V14H16V12H8M8,16V18H13V16H8Z" /></svg>';
 
+    // https://pictogrammers.com/library/mdi/icon/pin/
+    const PIN_ICON =
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M16,12V4H17V2H7V4H8V12L6,14V16H11.2V22H12.8V16H18V14L16,12Z" /></svg>';
+    const HISTORY_KEY = `search-history-${language}`;
+    const HISTORY_LIMIT = 10;
+    const PREVIEW_DELAY = 150;
+    const PREVIEW_MEDIA = window.matchMedia("(min-width: 1200px)");
+
     const resultsElement = document.getElementById("search-modal__results");
+    const previewElement = document.getElementById("search-modal__preview");
     const inputElement = document.getElementById("search-modal__input");
+    const filterElements = document.querySelectorAll(".search-modal__filter");
     let selectedIndex = -1;
+    let renderedResults = [];
+    let isShowingHistory = false;
+
+    /**
+     * Read the recently opened and the pinned results of this language.
+     *
+     * @returns {{recent: Array, pinned: Array}}
+     */
+    const loadHistory = () => {
+        try {
+            const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+            return {
+                recent: history?.recent ?? [],
+                pinned: history?.pinned ?? [],
+            };
+        } catch (e) {
+            return { recent: [], pinned: [] };
+        }
+    };
+
+    /**
+     * Store the recently opened and the pinned results of this language.
+     *
+     * @param {{recent: Array, pinned: Array}} history
+     */
+    const saveHistory = (history) => {
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+        } catch (e) {
+            console.error("Failed to save search history", e);
+        }
+    };
+
+    /**
+     * Keep only the fields needed to render an entry of the history.
+     *
+     * @param {object} item A search index item.
+     * @returns {object}
+     */
+    const toHistoryEntry = ({
+        id,
+        name,
+        description,
+        type,
+        introduced,
+        deprecated,
+        removed,
+    }) => ({
+        id,
+        name,
+        description,
+        type,
+        introduced,
+        deprecated,
+        removed,
+    });
+
+    /**
+     * Describe when an entry is available, e.g. "Deprecated in 8.2" or
+     * "PHP ≥ 8.1". Entries introduced before PHP 8 get no badge, since every
+     * supported version has them.
+     *
+     * @param {object} item A search index item.
+     * @returns {Array<{label: string, modifier: string}>}
+     */
+    const getBadges = ({ introduced, deprecated, removed }) => {
+        const badges = [];
+        if (introduced && parseInt(introduced, 10) >= 8) {
+            badges.push({ label: `PHP ≥ ${introduced}`, modifier: "introduced" });
+        }
+        if (removed) {
+            badges.push({ label: `Removed in ${removed}`, modifier: "removed" });
+        } else if (deprecated) {
+            badges.push({
+                label: `Deprecated in ${deprecated}`,
+                modifier: "deprecated",
+            });
+        }
+        return badges;
+    };
+
+    /**
+     * Move an opened result to the top of the recent entries.
+     *
+     * @param {object} item
+     */
+    const recordOpened = (item) => {
+        const history = loadHistory();
+        history.recent = [
+            toHistoryEntry(item),
+            ...history.recent.filter((entry) => entry.id !== item.id),
+        ].slice(0, HISTORY_LIMIT);
+        saveHistory(history);
+    };
+
+    /**
+     * Pin a result, or unpin it if it is already pinned.
+     *
+     * @param {object} item
+     */
+    const togglePinned = (item) => {
+        const history = loadHistory();
+        const pinned = history.pinned.filter((entry) => entry.id !== item.id);
+        if (pinned.length === history.pinned.length) {
+            pinned.push(toHistoryEntry(item));
+        }
+        history.pinned = pinned;
+        saveHistory(history);
+    };
+
+    /**
+     * Remove an entry from both the recent and the pinned entries.
+     *
+     * @param {object} item
+     */
+    const removeFromHistory = (item) => {
+        const history = loadHistory();
+        history.recent = history.recent.filter((entry) => entry.id !== item.id);
+        history.pinned = history.pinned.filter((entry) => entry.id !== item.id);
+        saveHistory(history);
+    };
+
+    const debounce = (func, delay) => {
+        let timeoutId;
+        return (...args) => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => func(...args), delay);
+        };
+    };
+
+    /** Previews by URL, kept as promises so a page is only fetched once. */
+    const previews = new Map();
+
+    /**
+     * Fetch a manual page and extract its signature, return type and first
+     * paragraph.
+     *
+     * @param {string} url
+     * @returns {Promise<{signature: string|null, returnType: string|null, paragraph: string|null}>}
+     */
+    const fetchPreview = async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        }
+
+        const page = new DOMParser().parseFromString(
+            await response.text(),
+            "text/html",
+        );
+        const text = (element) =>
+            element ? element.textContent.replace(/\s+/g, " ").trim() : null;
+
+        const methodSynopsis = page.querySelector(".methodsynopsis");
+        // The return type is the last direct .type child: it either precedes
+        // the method name or follows the closing parenthesis.
+        const returnTypes = methodSynopsis
+            ? methodSynopsis.querySelectorAll(":scope > .type")
+            : [];
+        const classSynopsis = page.querySelector(".classsynopsisinfo");
+
+        return {
+            signature:
+                text(methodSynopsis) ||
+                text(classSynopsis)?.replace(/\s*\{$/, "") ||
+                null,
+            returnType: text(returnTypes[returnTypes.length - 1]),
+            paragraph: text(
+                page.querySelector(
+                    ".refsect1.description p.para, .refsect1.description p.simpara, #layout-content p.para",
+                ),
+            ),
+        };
+    };
+
+    /**
+     * Replace the content of the preview panel.
+     *
+     * @param {...Node} nodes
+     */
+    const showPreview = (...nodes) => {
+        previewElement.replaceChildren(...nodes);
+        previewElement.hidden = nodes.length === 0;
+    };
+
+    /**
+     * Create an element with the given class and text content. The text comes
+     * from fetched pages, so it is never parsed as HTML.
+     *
+     * @param {string} tagName
+     * @param {string} className
+     * @param {string} text
+     * @returns {HTMLElement}
+     */
+    const createPreviewElement = (tagName, className, text) => {
+        const element = document.createElement(tagName);
+        element.className = `search-modal__preview-${className}`;
+        element.textContent = text;
+        return element;
+    };
+
+    /**
+     * Show the preview of the selected result. Previews are only loaded on
+     * screens wide enough to show them, and a response is dropped if the
+     * selection changed while it was loading.
+     */
+    const updatePreview = debounce(async () => {
+        const selected = renderedResults[selectedIndex];
+        const link = resultsElement.querySelectorAll(".search-modal__result")[
+            selectedIndex
+        ];
+        if (!selected || !link || !PREVIEW_MEDIA.matches) {
+            showPreview();
+            return;
+        }
+
+        const { item } = selected;
+        const title = createPreviewElement("h2", "title", item.name);
+        if (!previews.has(link.href)) {
+            showPreview(
+                title,
+                createPreviewElement("p", "status", "Loading preview…"),
+            );
+            const preview = fetchPreview(link.href);
+            previews.set(link.href, preview);
+            // Let a later selection retry pages that failed to load.
+            preview.catch(() => previews.delete(link.href));
+        }
+
+        let preview;
+        try {
+            preview = await previews.get(link.href);
+        } catch (error) {
+            preview = null;
+        }
+        if (renderedResults[selectedIndex] !== selected) {
+            return;
+        }
+
+        if (!preview) {
+            showPreview(
+                title,
+                createPreviewElement("p", "status", "Preview not available."),
+            );
+            return;
+        }
+
+        const nodes = [title];
+        const signature = preview.signature || item.signature;
+        if (signature) {
+            nodes.push(createPreviewElement("pre", "signature", signature));
+        }
+        if (preview.returnType) {
+            const returnType = createPreviewElement(
+                "p",
+                "return-type",
+                "Returns ",
+            );
+            const code = document.createElement("code");
+            code.textContent = preview.returnType;
+            returnType.append(code);
+            nodes.push(returnType);
+        }
+        nodes.push(
+            createPreviewElement(
+                "p",
+                "paragraph",
+                preview.paragraph || item.description,
+            ),
+        );
+        showPreview(...nodes);
+    }, PREVIEW_DELAY);
 
     /**
      * Update the selected result in the results container.
@@ -370,14 +844,15 @@ const initSearchUI = ({ searchCallback, language, limit = 30 }) => {
                 block: "nearest",
             });
         });
+        updatePreview();
     };
 
     /**
-     * Render the search results.
+     * Render the search results, split into sections with an optional title.
      *
-     * @param {Array} results The search results.
+     * @param {Array<{title: string|null, results: Array}>} sections
      */
-    const renderResults = (results) => {
+    const renderSections = (sections) => {
         const escape = (html) => {
             const div = document.createElement("div");
             const node = document.createTextNode(html);
@@ -385,55 +860,179 @@ const initSearchUI = ({ searchCallback, language, limit = 30 }) => {
             return div.innerHTML;
         };
 
+        /**
+         * Escape the text, wrapping the matched ranges in <mark>.
+         *
+         * @param {string} text
+         * @param {Array<[number, number]>} ranges
+         * @returns {string}
+         */
+        const highlight = (text, ranges = []) => {
+            let html = "";
+            let offset = 0;
+            ranges.forEach(([start, end]) => {
+                html += escape(text.substring(offset, start));
+                html += `<mark>${escape(text.substring(start, end))}</mark>`;
+                offset = end;
+            });
+            return html + escape(text.substring(offset));
+        };
+
+        const pinnedIds = loadHistory().pinned.map((entry) => entry.id);
         let resultsHtml = "";
-        results.forEach(({ item }, i) => {
-            const icon = ["General", "Extension"].includes(item.type)
-                ? DOCUMENT_ICON
-                : BRACES_ICON;
-            const link = `/manual/${encodeURIComponent(language)}/${encodeURIComponent(item.id)}.php`;
-
-            const description =
-                item.type !== "General"
-                    ? `${item.type} • ${item.description}`
-                    : item.description;
-
-            resultsHtml += `
-                <a
-                    href="${link}"
-                    class="search-modal__result"
-                    role="option"
-                    aria-labelledby="search-modal__result-name-${i}"
-                    aria-describedby="search-modal__result-description-${i}"
-                    aria-selected="false"
-                >
-                    <div class="search-modal__result-icon">${icon}</div>
-                    <div class="search-modal__result-content">
-                        <div
-                            id="search-modal__result-name-${i}"
-                            class="search-modal__result-name"
-                        >
-                            ${escape(item.name)}
-                        </div>
-                        <div
-                            id="search-modal__result-description-${i}"
-                            class="search-modal__result-description"
-                        >
-                            ${escape(description)}
-                        </div>
+        let i = 0;
+        renderedResults = [];
+
+        sections.forEach(({ title, results }) => {
+            if (!results.length) {
+                return;
+            }
+
+            if (title) {
+                resultsHtml += `
+                    <div class="search-modal__results-title" role="presentation">
+                        ${escape(title)}
                     </div>
-                </a>
-            `;
+                `;
+            }
+
+            results.forEach(({ item, highlights = {} }) => {
+                const icon = ["General", "Extension"].includes(item.type)
+                    ? DOCUMENT_ICON
+                    : BRACES_ICON;
+                const link = `/manual/${encodeURIComponent(language)}/${encodeURIComponent(item.id)}.php`;
+
+                const typePrefix =
+                    item.type !== "General" ? `${item.type} • ` : "";
+                const description = typePrefix + item.description;
+                const descriptionHtml =
+                    escape(typePrefix) +
+                    highlight(item.description, highlights.description);
+
+                const badges = getBadges(item);
+                const badgesHtml = badges.length
+                    ? `<div class="search-modal__result-badges" aria-hidden="true">${badges
+                          .map(
+                              ({ label, modifier }) =>
+                                  `<span class="search-modal__result-badge search-modal__result-badge--${modifier}">${escape(label)}</span>`,
+                          )
+                          .join("")}</div>`
+                    : "";
+                const descriptionLabel = [
+                    description,
+                    ...badges.map(({ label }) => label),
+                ].join(" • ");
+
+                const pin = pinnedIds.includes(item.id)
+                    ? `<div class="search-modal__result-pin" title="Pinned">${PIN_ICON}</div>`
+                    : "";
+
+                // The highlighted name and description are hidden from screen
+                // readers, which announce the plain text copies instead.
+                resultsHtml += `
+                    <a
+                        href="${link}"
+                        class="search-modal__result"
+                        role="option"
+                        aria-labelledby="search-modal__result-name-${i}"
+                        aria-describedby="search-modal__result-description-${i}"
+                        aria-selected="false"
+                    >
+                        <div class="search-modal__result-icon">${icon}</div>
+                        <div class="search-modal__result-content">
+                            <div
+                                class="search-modal__result-name"
+                                aria-hidden="true"
+                            >
+                                ${highlight(item.name, highlights.name)}
+                            </div>
+                            <div
+                                class="search-modal__result-description"
+                                aria-hidden="true"
+                            >
+                                ${descriptionHtml}
+                            </div>
+                            <span id="search-modal__result-name-${i}" hidden>${escape(item.name)}</span>
+                            <span id="search-modal__result-description-${i}" hidden>${escape(descriptionLabel)}</span>
+                        </div>
+                        ${badgesHtml}
+                        ${pin}
+                    </a>
+                `;
+
+                renderedResults.push({ item, highlights });
+                i++;
+            });
         });
 
         resultsElement.innerHTML = resultsHtml;
     };
 
-    const debounce = (func, delay) => {
-        let timeoutId;
-        return (...args) => {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => func(...args), delay);
-        };
+    /**
+     * Render the search results.
+     *
+     * @param {Array} results The search results.
+     */
+    const renderResults = (results) => {
+        isShowingHistory = false;
+        renderSections([{ title: null, results }]);
+    };
+
+    /**
+     * Render the pinned entries followed by the recently opened ones.
+     */
+    const renderHistory = () => {
+        const { recent, pinned } = loadHistory();
+        const pinnedIds = pinned.map((entry) => entry.id);
+
+        isShowingHistory = true;
+        renderSections([
+            {
+                title: "Pinned",
+                results: pinned.map((item) => ({ item })),
+            },
+            {
+                title: "Recent",
+                results: recent
+                    .filter((entry) => !pinnedIds.includes(entry.id))
+                    .map((item) => ({ item })),
+            },
+        ]);
+    };
+
+    /**
+     * Tell the user that the search index could not be loaded. Enter still
+     * searches on search.php.
+     */
+    const renderUnavailable = () => {
+        isShowingHistory = false;
+        renderedResults = [];
+        selectedIndex = -1;
+        resultsElement.innerHTML = `
+            <div class="search-modal__results-title" role="status">
+                The manual search is unavailable. Press Enter to search on
+                the search page instead.
+            </div>
+        `;
+    };
+
+    /**
+     * Re-render the results after the history changed, keeping the selection
+     * in place.
+     */
+    const refreshResults = () => {
+        if (isShowingHistory) {
+            renderHistory();
+        } else {
+            renderSections([
+                {
+                    title: null,
+                    results: renderedResults,
+                },
+            ]);
+        }
+        selectedIndex = Math.min(selectedIndex, renderedResults.length - 1);
+        updateSelectedResult();
     };
 
     const handleKeyDown = (event) => {
@@ -460,22 +1059,122 @@ const initSearchUI = ({ searchCallback, language, limit = 30 }) => {
                     event.preventDefault();
                     resultsElements[selectedIndex].click();
                 } else {
-                    window.location.href = `/search.php?lang=${language}&q=${encodeURIComponent(inputElement.value)}`;
+                    const { terms } = parseSearchQuery(inputElement.value);
+                    window.location.href = `/search.php?lang=${language}&q=${encodeURIComponent(terms)}`;
                 }
                 break;
             case "Escape":
                 selectedIndex = -1;
                 break;
+            case "Delete":
+                if (isShowingHistory && selectedIndex !== -1) {
+                    event.preventDefault();
+                    removeFromHistory(renderedResults[selectedIndex].item);
+                    refreshResults();
+                }
+                break;
+            default:
+                // Alt+P, matched by code as Alt changes the key on macOS
+                if (
+                    event.altKey &&
+                    event.code === "KeyP" &&
+                    selectedIndex !== -1
+                ) {
+                    event.preventDefault();
+                    togglePinned(renderedResults[selectedIndex].item);
+                    refreshResults();
+                }
         }
     };
 
-    const handleInput = (event) => {
-        const results = searchCallback(event.target.value);
-        renderResults(results.slice(0, limit), language, resultsElement);
+    /**
+     * Mark the filter chip matching the query's type operator as pressed.
+     */
+    const updateFilters = () => {
+        const { type } = parseSearchQuery(inputElement.value);
+        filterElements.forEach((filter) => {
+            const filterType =
+                SEARCH_TYPE_OPERATORS[filter.dataset.operator] ?? null;
+            filter.setAttribute(
+                "aria-pressed",
+                filterType === type ? "true" : "false",
+            );
+        });
+    };
+
+    let latestQuery = 0;
+    const handleInput = async () => {
+        // Results arrive asynchronously: drop them if the user kept typing
+        // while they were being computed.
+        const query = ++latestQuery;
+        if (inputElement.value.trim() === "") {
+            renderHistory();
+            selectedIndex = -1;
+            return;
+        }
+
+        let results;
+        try {
+            results = await searchCallback(inputElement.value, limit);
+        } catch (error) {
+            if (query === latestQuery) {
+                renderUnavailable();
+            }
+            return;
+        }
+        if (query !== latestQuery) {
+            return;
+        }
+
+        renderResults(results);
         selectedIndex = -1;
     };
     const debouncedHandleInput = debounce(handleInput, DEBOUNCE_DELAY);
 
-    inputElement.addEventListener("input", debouncedHandleInput);
+    /**
+     * Replace the type operator of the current query with the one of the
+     * clicked filter chip and search again right away.
+     *
+     * @param {MouseEvent} event
+     */
+    const handleFilterClick = (event) => {
+        const { operator } = event.currentTarget.dataset;
+        const { terms } = parseSearchQuery(inputElement.value);
+
+        inputElement.value = operator ? `${operator}:${terms}` : terms;
+        inputElement.focus();
+        updateFilters();
+        handleInput();
+    };
+
+    inputElement.addEventListener("input", updateFilters);
+    inputElement.addEventListener("input", () => {
+        // Show the history right away once the input is cleared
+        if (inputElement.value.trim() === "") {
+            handleInput();
+        } else {
+            debouncedHandleInput();
+        }
+    });
     inputElement.addEventListener("keydown", handleKeyDown);
+    resultsElement.addEventListener("click", (event) => {
+        const result = event.target.closest(".search-modal__result");
+        const results = [
+            ...resultsElement.querySelectorAll(".search-modal__result"),
+        ];
+        const rendered = renderedResults[results.indexOf(result)];
+        if (rendered) {
+            recordOpened(rendered.item);
+        }
+    });
+    filterElements.forEach((filter) =>
+        filter.addEventListener("click", handleFilterClick),
+    );
+
+    PREVIEW_MEDIA.addEventListener("change", updatePreview);
+
+    // The modal may have been opened before the index was loaded, e.g. from
+    // a "#search=..." link.
+    updateFilters();
+    handleInput();
 };
@@ -181,6 +181,52 @@ and will very likely change a lot and be broken at times.
 <label for="showugenable">Enable UG tips</label> <input type="radio" name="showug" id="showugenable" value="enable" <?php echo $userPreferences->isUserGroupTipsEnabled ? "checked=checked" : "" ?>><br>
 <label for="showugdisable">Disable UG tips</label> <input type="radio" name="showug" id="showugdisable" value="disable" <?php echo $userPreferences->isUserGroupTipsEnabled ? "" : "checked=checked" ?>>
 
+<br>
+<h2>Offline manual</h2>
+
+<p>
+ The manual search and the manual pages you visit can be kept in your
+ browser, so that they are still available when you have no connection.
+ This setting is stored in your browser rather than in a cookie, and
+ requires JavaScript.
+</p>
+
+<div class="indent" id="offline-manual">
+ <p class="offline-manual__status"></p>
+ <button type="button" class="offline-manual__enable" hidden>Make this language available offline</button>
+ <button type="button" class="offline-manual__disable" hidden>Disable the offline manual</button>
+</div>
+
+<br>
+<h2 id="keyboard-shortcuts">Keyboard shortcuts</h2>
+
+<p>
+ Press <kbd>?</kbd> on any page to list the keyboard shortcuts. Each of them
+ can be remapped to other keys, such as <code>g s</code> for <kbd>g</kbd>
+ followed by <kbd>s</kbd>, or <code>ctrl+k</code>, and is turned off when
+ left empty. These settings are stored in your browser rather than in a
+ cookie, and require JavaScript.
+</p>
+
+<div class="indent" id="keyboard-shortcuts-settings" hidden>
+ <p>
+  <input type="checkbox" class="keyboard-shortcuts__enabled" id="keyboard-shortcuts-enabled">
+  <label for="keyboard-shortcuts-enabled">Enable keyboard shortcuts</label>
+ </p>
+ <table class="standard">
+  <thead>
+   <tr>
+    <th>Shortcut</th>
+    <th>Pages</th>
+    <th>Keys</th>
+    <th>Default</th>
+   </tr>
+  </thead>
+  <tbody class="keyboard-shortcuts__list"></tbody>
+ </table>
+ <button type="button" class="keyboard-shortcuts__reset">Restore the default shortcuts</button>
+</div>
+
 <p class="center">
  <input type="submit" value="Set All Preferences">
 </p>
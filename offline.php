@@ -0,0 +1,21 @@
+<?php
+$_SERVER['BASE_PAGE'] = 'offline.php';
+include_once __DIR__ . '/include/prepend.inc';
+
+site_header("Offline", ["current" => "docs"]);
+?>
+
+<h1>You are offline</h1>
+
+<p>
+ This page has not been saved for offline reading. Only the manual pages
+ you have visited since making the manual available offline on
+ <a href="/my.php">My PHP.net</a> can be read without a connection.
+</p>
+
+<p>
+ The manual search still works: press <kbd>/</kbd> or use the search
+ button to find the page you are looking for.
+</p>
+
+<?php site_footer(); ?>
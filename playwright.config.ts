@@ -35,5 +35,9 @@ export default defineConfig({
             use: {...devices['Desktop Chrome']},
             testDir: './tests/EndToEnd',
         },
+        {
+            name: 'Unit',
+            testDir: './tests/Unit',
+        },
     ],
 });
@@ -0,0 +1,193 @@
+/**
+ * Service worker for the offline manual. It is only installed when a user
+ * opts in on my.php, see initOfflineManual() in js/common.js.
+ *
+ * - Manual pages are fetched from the network first, and the copy of every
+ *   visited page is kept for when there is no connection.
+ * - The search index and the shell assets (styles, scripts, fonts, images)
+ *   are precached when a language is made available offline.
+ * - Pages that were never visited fall back to offline.php.
+ */
+const CACHE_VERSION = 1;
+const SHELL_CACHE = `offline-shell-v${CACHE_VERSION}`;
+const PAGES_CACHE = `offline-pages-v${CACHE_VERSION}`;
+const OFFLINE_PAGE = "/offline.php";
+
+/**
+ * Assets every page needs that are not referenced from the page markup, such
+ * as the scripts imported by the search worker.
+ */
+const SHELL_ASSETS = [
+    OFFLINE_PAGE,
+    "/js/search.js",
+    "/js/search-worker.js",
+    "/js/ext/FuzzySearch.min.js",
+    "/images/logos/php-logo-white.svg",
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches
+            .open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting()),
+    );
+});
+
+/**
+ * Remove the PHP binaries an earlier version of this worker kept along with
+ * the shell. The interactive examples worker caches its own copy.
+ *
+ * @returns {Promise<void>}
+ */
+const removeCachedBinaries = async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    const requests = await shell.keys();
+    await Promise.all(
+        requests
+            .filter(({ url }) => new URL(url).pathname.endsWith(".wasm"))
+            .map((request) => shell.delete(request)),
+    );
+};
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((key) => key.startsWith("offline-"))
+                        .filter((key) => ![SHELL_CACHE, PAGES_CACHE].includes(key))
+                        .map((key) => caches.delete(key)),
+                ),
+            )
+            .then(removeCachedBinaries)
+            .then(() => self.clients.claim()),
+    );
+});
+
+/**
+ * Precache what is needed to search and browse the manual of a language.
+ *
+ * @param {string} language
+ * @param {Array<string>} assets The styles and scripts of the requesting page.
+ * @returns {Promise<void>}
+ */
+const cacheLanguage = async (language, assets) => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll([
+        ...SHELL_ASSETS,
+        ...assets,
+        `/js/search-index.php?lang=${encodeURIComponent(language)}`,
+    ]);
+
+    const pages = await caches.open(PAGES_CACHE);
+    await pages.add(`/manual/${encodeURIComponent(language)}/`);
+};
+
+self.addEventListener("message", (event) => {
+    const { data } = event;
+    if (data.type !== "cache-language") {
+        return;
+    }
+
+    const [port] = event.ports;
+    event.waitUntil(
+        cacheLanguage(data.language, data.assets)
+            .then(() => port.postMessage({}))
+            .catch((error) => port.postMessage({ error: String(error) })),
+    );
+});
+
+/**
+ * Fetch from the network and keep a copy, falling back to the cached copy
+ * when the network cannot be reached.
+ *
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {object} options
+ * @param {boolean} options.precachedOnly Only refresh the copy of requests
+ * that are already cached, instead of keeping every response.
+ * @returns {Promise<Response|undefined>}
+ */
+const networkFirst = async (request, cacheName, { precachedOnly = false } = {}) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok && (!precachedOnly || (await cache.match(request)))) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return cache.match(request, { ignoreVary: true });
+    }
+};
+
+/**
+ * Serve from the cache, fetching and keeping a copy on a miss.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+};
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== "GET" || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === "navigate") {
+        event.respondWith(
+            (url.pathname.startsWith("/manual/")
+                ? networkFirst(request, PAGES_CACHE)
+                : fetch(request).catch(() => undefined)
+            ).then((response) => response || caches.match(OFFLINE_PAGE)),
+        );
+        return;
+    }
+
+    // The search worker revalidates its own IndexedDB copy of the index, so
+    // this only matters when the index has not been loaded on this device.
+    if (url.pathname === "/js/search-index.php") {
+        event.respondWith(
+            networkFirst(request, SHELL_CACHE).then(
+                (response) => response || Response.error(),
+            ),
+        );
+        return;
+    }
+
+    // Styles and scripts served through cached.php are versioned by their
+    // modification time, so they never go stale.
+    if (url.pathname === "/cached.php") {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    // Only the precached assets are kept, so that the cache does not grow with
+    // every asset ever requested. The PHP binary of the interactive examples
+    // is left to their worker, which caches it on its own.
+    if (/^\/(js|fonts|images)\//.test(url.pathname) && !url.pathname.endsWith(".wasm")) {
+        event.respondWith(
+            networkFirst(request, SHELL_CACHE, { precachedOnly: true }).then(
+                (response) => response || Response.error(),
+            ),
+        );
+    }
+});
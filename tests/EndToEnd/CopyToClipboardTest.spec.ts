@@ -0,0 +1,37 @@
+import { test, expect } from '@playwright/test';
+
+const httpHost = process.env.HTTP_HOST
+
+if (typeof httpHost !== 'string') {
+    throw new Error('Environment variable "HTTP_HOST" is not set.')
+}
+
+test.beforeEach(async ({ page, context }) => {
+    await context.grantPermissions(['clipboard-read', 'clipboard-write']);
+    await page.goto(`${httpHost}/manual/en/function.strpos.php`);
+});
+
+const readClipboard = (page) => page.evaluate(() => navigator.clipboard.readText());
+
+test('should copy the code of an example', async ({ page }) => {
+    await page.locator('#example-4886').getByRole('button', { name: 'Copy code' }).click();
+    await expect(page.locator('#flash-message')).toContainText('Code copied to the clipboard.');
+
+    const code = await readClipboard(page);
+    expect(code).toMatch(/^<\?php\n\$mystring = 'abc';\n/);
+    expect(code).not.toContain('\u00a0');
+    expect(code).toMatch(/\?>$/);
+});
+
+test('should copy the signature of a function', async ({ page }) => {
+    await page.getByRole('button', { name: 'Copy signature' }).click();
+    await expect(page.locator('#flash-message')).toContainText('Signature copied to the clipboard.');
+    expect(await readClipboard(page)).toBe('mixed strpos(string $haystack, mixed $needle [, int $offset = 0])');
+});
+
+test('should copy the link to a section', async ({ page }) => {
+    const heading = page.locator('#refsect1-function\\.strpos-parameters > h3');
+    await heading.hover();
+    await heading.getByRole('button', { name: 'Copy link to this section' }).click();
+    expect(await readClipboard(page)).toMatch(/function\.strpos\.php#refsect1-function\.strpos-parameters$/);
+});
@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+
+const httpHost = process.env.HTTP_HOST
+
+if (typeof httpHost !== 'string') {
+    throw new Error('Environment variable "HTTP_HOST" is not set.')
+}
+
+test.beforeEach(async ({ page }) => {
+    await page.goto(`${httpHost}/manual/en/function.strpos.php`);
+});
+
+test('should go to a link of the current page', async ({ page }) => {
+    await page.keyboard.press('g');
+    await page.keyboard.press('s');
+    const palette = page.getByRole('dialog', { name: 'Goto' });
+    const input = palette.getByRole('combobox', { name: 'Goto' });
+    await expect(input).toBeFocused();
+
+    await input.fill('mixed');
+    await expect(palette.getByRole('option', { name: 'mixed', selected: true }).first()).toBeVisible();
+});
+
+test('should go to a manual page found in the search index', async ({ page }) => {
+    await page.keyboard.press('g');
+    await page.keyboard.press('a');
+    const palette = page.getByRole('dialog', { name: 'Goto' });
+    const input = palette.getByRole('combobox', { name: 'Goto' });
+
+    await input.fill('rtrim');
+    await expect(palette.getByRole('option').first()).toContainText('rtrim');
+    await input.press('Enter');
+    await expect(page).toHaveURL(/function\.rtrim\.php$/);
+});
+
+test('should close the palette when Escape is pressed', async ({ page }) => {
+    await page.keyboard.press('g');
+    await page.keyboard.press('s');
+    const palette = page.getByRole('dialog', { name: 'Goto' });
+    await expect(palette).toBeVisible();
+
+    await page.keyboard.press('Escape');
+    await expect(palette).toBeHidden();
+});
+
+test('should close the palette when focus leaves it', async ({ page }) => {
+    await page.keyboard.press('g');
+    await page.keyboard.press('s');
+    const palette = page.getByRole('dialog', { name: 'Goto' });
+    await expect(palette).toBeVisible();
+
+    await page.keyboard.press('Tab');
+    await expect(palette).toBeHidden();
+});
+
+test('should close the palette when clicking outside of it', async ({ page }) => {
+    await page.keyboard.press('g');
+    await page.keyboard.press('s');
+    const palette = page.getByRole('dialog', { name: 'Goto' });
+    await expect(palette).toBeVisible();
+
+    await page.getByRole('heading', { name: 'strpos', exact: true }).click();
+    await expect(palette).toBeHidden();
+});
@@ -0,0 +1,51 @@
+import { test, expect } from '@playwright/test';
+
+const httpHost = process.env.HTTP_HOST
+
+if (typeof httpHost !== 'string') {
+    throw new Error('Environment variable "HTTP_HOST" is not set.')
+}
+
+test.beforeEach(async ({ page }) => {
+    await page.goto(httpHost);
+});
+
+const saveShortcutSettings = async (page, settings) => {
+    await page.evaluate((settings) => {
+        localStorage.setItem('shortcuts', JSON.stringify(settings));
+    }, settings);
+    await page.reload();
+}
+
+test('should list the keyboard shortcuts when ? is pressed', async ({ page }) => {
+    await page.keyboard.press('?');
+    const help = page.getByRole('navigation', { name: 'Manual and keyboard shortcuts' });
+    await expect(help).toBeVisible();
+    await expect(help.getByText('Focus search box')).toBeVisible();
+    await expect(help.getByText('Next man page')).toHaveCount(0);
+
+    await page.keyboard.press('Escape');
+    await expect(help).toBeHidden();
+});
+
+test('should open search modal when / is pressed', async ({ page }) => {
+    await page.keyboard.press('/');
+    await expect(page.getByRole('dialog', { name: 'Search modal' })).toBeVisible();
+});
+
+test('should use remapped keyboard shortcuts', async ({ page }) => {
+    await saveShortcutSettings(page, { enabled: true, keys: { search: 's' } });
+
+    await page.keyboard.press('/');
+    await expect(page.getByRole('dialog', { name: 'Search modal' })).toBeHidden();
+    await page.keyboard.press('s');
+    await expect(page.getByRole('dialog', { name: 'Search modal' })).toBeVisible();
+});
+
+test('should not use keyboard shortcuts when they are disabled', async ({ page }) => {
+    await saveShortcutSettings(page, { enabled: false, keys: {} });
+
+    await page.keyboard.press('?');
+    await page.waitForTimeout(500);
+    await expect(page.getByRole('navigation', { name: 'Manual and keyboard shortcuts' })).toBeHidden();
+});
@@ -0,0 +1,35 @@
+import { test, expect } from '@playwright/test';
+
+const httpHost = process.env.HTTP_HOST
+
+if (typeof httpHost !== 'string') {
+    throw new Error('Environment variable "HTTP_HOST" is not set.')
+}
+
+test.beforeEach(async ({ page }) => {
+    await page.goto(`${httpHost}/manual/en/function.strpos.php`);
+});
+
+const mention = (page) =>
+    page.locator('.description .para').getByRole('link', { name: 'haystack' });
+
+test('should show the description of a parameter when its mention is focused', async ({ page }) => {
+    await mention(page).focus();
+    const popover = page.getByRole('tooltip');
+    await expect(popover).toBeVisible();
+    await expect(popover).toContainText('The string to search in.');
+
+    await page.keyboard.press('Escape');
+    await expect(popover).toBeHidden();
+});
+
+test('should go to a parameter and back', async ({ page }) => {
+    await mention(page).focus();
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.parameters dt.parameter-target').first()).toContainText('haystack');
+
+    const back = page.getByRole('button', { name: 'Back to where I was' });
+    await back.click();
+    await expect(mention(page)).toBeFocused();
+    await expect(back).toBeHidden();
+});
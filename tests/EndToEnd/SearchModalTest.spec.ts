@@ -123,3 +123,127 @@ test('should navigate to search page when Enter is pressed with no selection', a
     await page.keyboard.press('Enter');
     await expect(page).toHaveURL(`http://${httpHost}/search.php?lang=en&q=php%20basics`);
 });
+
+test('should restrict results to a type with a query operator', async ({ page }) => {
+    const modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('class:DateTime');
+    await expectOption(modal, /^DateTime$/);
+    await expect(modal.getByRole('option', { name: /^DateTime::/ })).toHaveCount(0);
+    await expect(modal.getByRole('button', { name: 'Classes' })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('should apply type operator when filter chip is clicked', async ({ page }) => {
+    const modal = await openSearchModal(page);
+    const searchInput = modal.getByRole('searchbox');
+    await searchInput.fill('fn:array_');
+    await modal.getByRole('button', { name: 'Classes' }).click();
+    await expect(searchInput).toHaveValue('class:array_');
+    await expect(searchInput).toBeFocused();
+
+    await modal.getByRole('button', { name: 'All' }).click();
+    await expect(searchInput).toHaveValue('array_');
+});
+
+test('should list recently opened results when the input is empty', async ({ page }) => {
+    let modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('strpos');
+    await expectOption(modal, /^strpos$/);
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('Enter');
+    await expect(page).toHaveURL(`http://${httpHost}/manual/en/function.strpos.php`);
+
+    modal = await openSearchModal(page);
+    await expect(modal.getByText('Recent')).toBeVisible();
+    await expectOption(modal, /^strpos$/);
+
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('Delete');
+    await expect(modal.getByRole('option', { name: /^strpos$/ })).toHaveCount(0);
+});
+
+test('should pin the selected result', async ({ page }) => {
+    let modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('strlen');
+    await expectOption(modal, /^strlen$/);
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('Alt+KeyP');
+    await page.keyboard.press('Escape');
+    await expectModalToBeHidden(page, modal);
+
+    modal = await openSearchModal(page);
+    await expect(modal.getByText('Pinned')).toBeVisible();
+    await expectOption(modal, /^strlen$/);
+});
+
+test('should highlight matched text in search results', async ({ page }) => {
+    const modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('strlen');
+    const option = modal.getByRole('option', { name: /^strlen$/ });
+    await expect(option).toBeVisible();
+    await expect(option.locator('.search-modal__result-name mark')).toHaveText('strlen');
+});
+
+test('should show availability badges in search results', async ({ page }) => {
+    const modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('create_function');
+
+    const option = modal.getByRole('option', { name: /^create_function$/ });
+    await expect(option).toBeVisible();
+    await expect(option.locator('.search-modal__result-badge')).toHaveText('Removed in 8.0');
+});
+
+test('should preview the selected result on wide screens', async ({ page }) => {
+    await page.setViewportSize({ width: 1280, height: 800 });
+    const modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('strpos');
+    await expectOption(modal, /^strpos$/);
+
+    await page.keyboard.press('ArrowDown');
+    const preview = modal.getByRole('complementary', { name: 'Preview' });
+    await expect(preview.getByRole('heading', { name: 'strpos' })).toBeVisible();
+    await expect(preview.locator('.search-modal__preview-signature')).toContainText('strpos(');
+});
+
+test('should not preview results on narrow screens', async ({ page }) => {
+    await page.setViewportSize({ width: 800, height: 800 });
+    const modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('strpos');
+    await expectOption(modal, /^strpos$/);
+
+    await page.keyboard.press('ArrowDown');
+    await expectSelectedOption(modal, /^strpos$/);
+    await expect(modal.getByRole('complementary', { name: 'Preview' })).toBeHidden();
+});
+
+test('should open search modal prefilled from the URL fragment', async ({ page }) => {
+    await page.goto(`${httpHost}/#search=strpos`);
+    const modal = page.getByRole('dialog', { name: 'Search modal' });
+    await expect(modal.getByRole('searchbox')).toHaveValue('strpos');
+    await expectOption(modal, /^strpos$/);
+});
+
+test('should open search modal prefilled from the q parameter', async ({ page }) => {
+    await page.goto(`${httpHost}/?q=strlen`);
+    const modal = page.getByRole('dialog', { name: 'Search modal' });
+    await expect(modal.getByRole('searchbox')).toHaveValue('strlen');
+    await expectOption(modal, /^strlen$/);
+});
+
+test('should keep the URL fragment in sync with the query', async ({ page }) => {
+    const modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('array map');
+    await expect(page).toHaveURL(`http://${httpHost}/#search=array%20map`);
+});
+
+test('should close and reopen search modal with browser history', async ({ page }) => {
+    const modal = await openSearchModal(page);
+    await modal.getByRole('searchbox').fill('strlen');
+
+    await page.goBack();
+    await expectModalToBeHidden(page, modal);
+    await expect(page).toHaveURL(`http://${httpHost}/`);
+
+    await page.goForward();
+    await expect(modal).toBeVisible();
+    await expect(modal.getByRole('searchbox')).toHaveValue('strlen');
+});
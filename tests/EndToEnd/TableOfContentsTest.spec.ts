@@ -0,0 +1,35 @@
+import { test, expect } from '@playwright/test';
+
+const httpHost = process.env.HTTP_HOST
+
+if (typeof httpHost !== 'string') {
+    throw new Error('Environment variable "HTTP_HOST" is not set.')
+}
+
+test.beforeEach(async ({ page }) => {
+    await page.goto(`${httpHost}/manual/en/function.strpos.php`);
+});
+
+test('should list the sections of the page', async ({ page }) => {
+    const toc = page.getByRole('navigation', { name: 'On this page' });
+    await expect(toc.getByRole('link', { name: 'Parameters' })).toHaveAttribute('href', '#refsect1-function.strpos-parameters');
+    await expect(toc.getByRole('link', { name: 'See Also' })).toBeVisible();
+});
+
+test('should highlight the section scrolled to', async ({ page }) => {
+    const toc = page.getByRole('navigation', { name: 'On this page' });
+    await page.evaluate(() => {
+        document.getElementById('refsect1-function.strpos-examples').scrollIntoView();
+    });
+    await expect(toc.getByRole('link', { name: 'Examples' })).toHaveAttribute('aria-current', 'location');
+});
+
+test('should move through the sections with j and k', async ({ page }) => {
+    const toc = page.getByRole('navigation', { name: 'On this page' });
+    await page.keyboard.press('j');
+    await expect(toc.getByRole('link', { name: 'Description' })).toHaveAttribute('aria-current', 'location');
+    await page.keyboard.press('j');
+    await expect(toc.getByRole('link', { name: 'Parameters' })).toHaveAttribute('aria-current', 'location');
+    await page.keyboard.press('k');
+    await expect(toc.getByRole('link', { name: 'Description' })).toHaveAttribute('aria-current', 'location');
+});
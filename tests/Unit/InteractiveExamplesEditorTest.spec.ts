@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+// interactive-examples-editor.js is a browser module, load it as a script in
+// a sandbox to test its highlighting without starting a browser.
+const sandbox = vm.createContext({});
+vm.runInContext(
+    readFileSync(path.join(__dirname, '../../js/interactive-examples-editor.js'), 'utf8')
+        .replace(/^export /m, ''),
+    sandbox,
+);
+const highlight = vm.runInContext('highlight', sandbox);
+
+test('should highlight PHP code after the opening tag', () => {
+    expect(highlight('<?php echo $a;')).toBe(
+        '<span class="default">&lt;?php</span> <span class="keyword">echo</span> '
+        + '<span class="default">$a</span><span class="keyword">;</span>',
+    );
+});
+
+test('should highlight heredocs up to their closing identifier', () => {
+    expect(highlight('<?php $s = <<<EOT\n  $a ?> "b"\n  EOT;\n')).toBe(
+        '<span class="default">&lt;?php</span> <span class="default">$s</span> '
+        + '<span class="keyword">=</span> '
+        + '<span class="string">&lt;&lt;&lt;EOT\n  $a ?&gt; "b"\n  EOT</span>'
+        + '<span class="keyword">;</span>\n',
+    );
+});
+
+test('should end line comments at the closing tag', () => {
+    expect(highlight('<?php // comment ?>\n<b>')).toBe(
+        '<span class="default">&lt;?php</span> <span class="comment">// comment </span>'
+        + '<span class="default">?&gt;</span><span class="html">\n&lt;b&gt;</span>',
+    );
+});
+
+test('should not end block comments at the closing tag', () => {
+    expect(highlight('<?php /* ?> */ #[Attribute]')).toBe(
+        '<span class="default">&lt;?php</span> <span class="comment">/* ?&gt; */</span> '
+        + '<span class="keyword">#</span><span class="keyword">[</span>'
+        + '<span class="default">Attribute</span>'
+        + '<span class="keyword">]</span>',
+    );
+});
+
+test('should highlight HTML around PHP blocks', () => {
+    expect(highlight('<p><?= $a ?></p>')).toBe(
+        '<span class="html">&lt;p&gt;</span><span class="default">&lt;?=</span> '
+        + '<span class="default">$a</span> <span class="default">?&gt;</span>'
+        + '<span class="html">&lt;/p&gt;</span>',
+    );
+});
@@ -0,0 +1,153 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+const source = readFileSync(path.join(__dirname, '../../js/interactive-examples.js'), 'utf8');
+
+// Runs examples as PHP would if they only echoed their code.
+class FakeWorker {
+    listeners = [];
+
+    constructor() {
+        setTimeout(() => this.receive({ type: 'ready', version: '8.4.0' }));
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'message') {
+            this.listeners.push(listener);
+        }
+    }
+
+    postMessage({ type, id, code }) {
+        if (type === 'run' && code === 'abort') {
+            setTimeout(() => this.receive({ type: 'error', id, message: 'RuntimeError: unreachable' }));
+        } else if (type === 'run') {
+            const result = { stdout: code, stderr: '', errors: [], exitCode: null, time: 1, files: [] };
+            setTimeout(() => this.receive({ type: 'result', id, result }));
+        }
+    }
+
+    receive(data) {
+        this.listeners.forEach((listener) => listener({ data }));
+    }
+
+    terminate() {}
+}
+
+// interactive-examples.js is a browser module without imports or exports,
+// load it in a sandbox with a page that has no examples to test it without
+// starting a browser.
+const load = (search = '', hash = '') => {
+    const sandbox = vm.createContext({
+        window: { location: { hash, search } },
+        document: { querySelectorAll: () => [], documentElement: { dataset: {} } },
+        console: { log: () => {}, warn: () => {}, table: () => {}, error: () => {} },
+        URLSearchParams,
+        EventTarget,
+        CustomEvent,
+        Worker: FakeWorker,
+        setTimeout,
+        clearTimeout,
+        Blob,
+        Response,
+        CompressionStream,
+        DecompressionStream,
+        btoa,
+        atob,
+    });
+    vm.runInContext(source, sandbox);
+    return sandbox;
+};
+
+const sandbox = load();
+const diffLines = vm.runInContext('diffLines', sandbox);
+const splitArguments = vm.runInContext('splitArguments', sandbox);
+const compressCode = vm.runInContext('compressCode', sandbox);
+const decompressCode = vm.runInContext('decompressCode', sandbox);
+
+const documentedExample = (id, documentedOutput, code) => ({
+    id,
+    documentedOutput,
+    timeout: 1000,
+    getRunOptions: () => ({}),
+    getSource: async () => code,
+});
+
+test('should mark lines that are the same in both outputs', () => {
+    expect(diffLines('a\nb', 'a\nb')).toEqual([
+        { type: 'same', line: 'a' },
+        { type: 'same', line: 'b' },
+    ]);
+});
+
+test('should mark removed and added lines around the common ones', () => {
+    expect(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).toEqual([
+        { type: 'same', line: 'a' },
+        { type: 'removed', line: 'b' },
+        { type: 'same', line: 'c' },
+        { type: 'added', line: 'x' },
+        { type: 'same', line: 'd' },
+    ]);
+});
+
+test('should list removed lines before added ones when a line changed', () => {
+    expect(diffLines('int(1)\n', 'int(2)\n')).toEqual([
+        { type: 'removed', line: 'int(1)' },
+        { type: 'added', line: 'int(2)' },
+        { type: 'same', line: '' },
+    ]);
+});
+
+test('should report the examples whose output differs from the documented one', async () => {
+    const page = load();
+    vm.runInContext('documentedExamples', page).push(
+        documentedExample('same', 'Hello\n', 'Hello'),
+        documentedExample('outdated', 'Old', 'New'),
+    );
+
+    const report = await page.window.checkInteractiveExamples();
+
+    expect(report).toEqual([
+        { example: 'same', version: '8.4.0', matches: true, expected: 'Hello\n', actual: 'Hello', errors: [] },
+        { example: 'outdated', version: '8.4.0', matches: false, expected: 'Old', actual: 'New', errors: [] },
+    ]);
+});
+
+test('should check the examples of a page opened with ?check-examples', async () => {
+    const { document } = load('?check-examples');
+
+    await expect.poll(() => document.documentElement.dataset.examplesChecked).toBe('pass');
+});
+
+test('should compress code to base64url and back', async () => {
+    const code = '<?php\n// Ünïcödé, + and / survive the URL.\necho str_repeat("?>", 100);\n';
+    const encoded = await compressCode(code);
+
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(await decompressCode(encoded)).toBe(code);
+});
+
+test('should read the example shared in the URL fragment', async () => {
+    const code = await compressCode('<?php echo 1;');
+    const page = load('', '#example=example-1&code=' + code);
+
+    expect(vm.runInContext('readSharedExample()', page)).toEqual({ id: 'example-1', code });
+    expect(vm.runInContext('readSharedExample()', load('', '#example=example-1'))).toBeNull();
+});
+
+test('should split arguments on whitespace', () => {
+    expect(splitArguments('  -v   --name=php file.txt ')).toEqual(['-v', '--name=php', 'file.txt']);
+});
+
+test('should keep quoted arguments together', () => {
+    expect(splitArguments('"hello world" "" x"y"')).toEqual(['hello world', '', 'x"y"']);
+});
+
+test('should fail only the run that aborted', async () => {
+    const php = vm.runInContext('PHP.get()', load());
+
+    await expect(php.run('abort')).rejects.toThrow('RuntimeError: unreachable');
+    expect(php.loadFailed).toBe(false);
+    await expect(php.run('Hello')).resolves.toMatchObject({ stdout: 'Hello' });
+});
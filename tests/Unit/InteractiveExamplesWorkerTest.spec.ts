@@ -0,0 +1,147 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+// interactive-examples-worker.js is a module worker without imports or
+// exports, load it in a sandbox to run examples on a fake PHP runtime.
+const messages = [];
+const listeners = [];
+const sandbox = vm.createContext({
+    self: {
+        location: { href: 'https://www.php.net/js/interactive-examples-worker.js' },
+        addEventListener: (type, listener) => listeners.push(listener),
+    },
+    postMessage: (message) => messages.push(message),
+    URL,
+    TextEncoder,
+    TextDecoder,
+    performance,
+});
+vm.runInContext(
+    readFileSync(path.join(__dirname, '../../js/interactive-examples-worker.js'), 'utf8'),
+    sandbox,
+);
+const run = vm.runInContext('run', sandbox);
+const stdout = vm.runInContext('stdout', sandbox);
+
+// Like the Emscripten file system, files cannot be written to a directory
+// that does not exist. Directories are null.
+const createFileSystem = () => {
+    const entries = new Map([['/', null], ['/tmp', null]]);
+    const parent = (path) => path.slice(0, path.lastIndexOf('/')) || '/';
+
+    return {
+        writeFile(path, contents) {
+            if (entries.get(parent(path)) !== null) {
+                throw new Error('ENOENT: ' + path);
+            }
+            entries.set(path, typeof contents === 'string' ? new TextEncoder().encode(contents) : contents);
+        },
+        readFile(path, { encoding = 'binary' } = {}) {
+            if (!entries.get(path)) {
+                throw new Error('ENOENT: ' + path);
+            }
+            return encoding === 'utf8' ? new TextDecoder().decode(entries.get(path)) : entries.get(path);
+        },
+        mkdirTree(path) {
+            path.split('/').reduce((directory, name) => {
+                const child = directory === '/' ? '/' + name : directory + '/' + name;
+                entries.set(child, null);
+                return child;
+            });
+        },
+        stat: (path) => ({ mode: entries.get(path) === null ? 'directory' : 'file' }),
+        isDir: (mode) => mode === 'directory',
+        isFile: (mode) => mode === 'file',
+        readdir: (path) => [...entries.keys()]
+            .filter((child) => child !== path && parent(child) === path)
+            .map((child) => child.slice(child.lastIndexOf('/') + 1)),
+        analyzePath: (path) => ({ exists: entries.has(path) }),
+    };
+};
+
+// Runs as PHP would: echoes the example and reports that it completed.
+const createRuntime = (FS) => ({
+    FS,
+    ccall() {
+        stdout.push(...FS.readFile('/example/example.php'));
+        FS.writeFile('/tmp/example-status.json', JSON.stringify({ errors: [], exitCode: 0 }));
+    },
+});
+
+const example = (overrides = {}) => ({ code: 'Hello', stdin: '', argv: [], files: {}, ...overrides });
+
+test('should run an example that has no files', () => {
+    const result = run(createRuntime(createFileSystem()), example());
+
+    expect(result.stdout).toBe('Hello');
+    expect(result.errors).toEqual([]);
+    expect(result.files).toEqual([]);
+});
+
+test('should create the files of an example before it runs', () => {
+    const FS = createFileSystem();
+    run(createRuntime(FS), example({ files: { 'data/input.txt': 'a', '/tmp/input.txt': 'b' } }));
+
+    expect(FS.readFile('/example/data/input.txt', { encoding: 'utf8' })).toBe('a');
+    expect(FS.readFile('/tmp/input.txt', { encoding: 'utf8' })).toBe('b');
+});
+
+test('should report the files an example wrote', () => {
+    const FS = createFileSystem();
+    const runtime = {
+        FS,
+        ccall() {
+            FS.writeFile('/example/output.txt', 'written');
+            FS.writeFile('/tmp/example-status.json', JSON.stringify({ errors: [], exitCode: 0 }));
+        },
+    };
+    const result = run(runtime, example({ files: { 'input.txt': 'unchanged' } }));
+
+    expect(result.files.map(({ path }) => path)).toEqual(['/example/output.txt']);
+});
+
+// Aborts as the runtime does on too deep a recursion, after some output.
+const createAbortingRuntime = (FS) => ({
+    FS,
+    ccall() {
+        stdout.push(...new TextEncoder().encode('Partial'));
+        throw new Error('RuntimeError: unreachable');
+    },
+});
+
+test('should not report the output of an aborted run with the next one', () => {
+    expect(() => run(createAbortingRuntime(createFileSystem()), example())).toThrow('unreachable');
+
+    expect(run(createRuntime(createFileSystem()), example()).stdout).toBe('Hello');
+});
+
+test('should report the runs that abort', async () => {
+    sandbox.runtime = createAbortingRuntime(createFileSystem());
+    vm.runInContext('nextRuntime = Promise.resolve(runtime)', sandbox);
+    messages.length = 0;
+
+    await Promise.all(listeners.map((listener) => listener({ data: { type: 'run', id: 1, ...example() } })));
+
+    expect(messages).toEqual([{ type: 'error', id: 1, message: 'Error: RuntimeError: unreachable' }]);
+});
+
+test('should report the exit status recorded by the runner', () => {
+    const FS = createFileSystem();
+    const runtime = {
+        FS,
+        ccall() {
+            FS.writeFile('/tmp/example-status.json', JSON.stringify({ errors: [], exitCode: 3 }));
+        },
+    };
+
+    expect(run(runtime, example()).exitCode).toBe(3);
+});
+
+test('should not know the exit status of a run that did not complete', () => {
+    const result = run({ FS: createFileSystem(), ccall() {} }, example());
+
+    expect(result.exitCode).toBeNull();
+    expect(result.errors).toHaveLength(1);
+});
@@ -0,0 +1,108 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+// search.js is a browser script, load it in a sandbox to test its pure
+// functions without starting a browser.
+const sandbox = vm.createContext({});
+vm.runInContext(
+    readFileSync(path.join(__dirname, '../../js/search.js'), 'utf8'),
+    sandbox,
+);
+const rankSearchResults = vm.runInContext('rankSearchResults', sandbox);
+
+const result = (item, score = 1) => ({
+    item: {
+        type: 'Function',
+        methodName: item.name.split('::').pop(),
+        ...item,
+    },
+    score,
+});
+
+const rank = (results, terms, rules?, context = { ids: [] }) =>
+    rankSearchResults(results, { terms, context }, rules)
+        .map(({ item }) => item.id);
+
+test('should rank exact name matches first', () => {
+    const results = [
+        result({ id: 'function.mb-strlen', name: 'mb_strlen' }, 30),
+        result({ id: 'function.strlen', name: 'strlen' }, 25),
+    ];
+
+    expect(rank(results, 'strlen')).toEqual(['function.strlen', 'function.mb-strlen']);
+});
+
+test('should match exact method names ignoring case', () => {
+    const results = [
+        result({ id: 'datetime.formats', name: 'Supported Date and Time Formats', type: 'General' }, 30),
+        result({ id: 'datetime.format', name: 'DateTime::format' }, 25),
+    ];
+
+    expect(rank(results, 'Format')).toEqual(['datetime.format', 'datetime.formats']);
+});
+
+test('should boost language reference matches', () => {
+    const results = [
+        result({ id: 'function.echo', name: 'echo' }, 20),
+        result({ id: 'language.basic-syntax', name: 'Basic syntax', type: 'General' }, 15),
+    ];
+
+    expect(rank(results, 'syntax')).toEqual(['language.basic-syntax', 'function.echo']);
+});
+
+test('should demote deprecated and removed entries', () => {
+    const results = [
+        result({ id: 'function.create-function', name: 'create_function', removed: '8.0' }, 30),
+        result({ id: 'function.utf8-encode', name: 'utf8_encode', deprecated: '8.2' }, 25),
+        result({ id: 'function.mb-convert-encoding', name: 'mb_convert_encoding' }, 20),
+    ];
+
+    expect(rank(results, 'convert')).toEqual([
+        'function.mb-convert-encoding',
+        'function.create-function',
+        'function.utf8-encode',
+    ]);
+});
+
+test('should boost results listed by the current page', () => {
+    const results = [
+        result({ id: 'function.mb-substr', name: 'mb_substr' }, 22),
+        result({ id: 'function.substr-count', name: 'substr_count' }, 20),
+    ];
+    const context = { ids: ['function.substr-count'] };
+
+    expect(rank(results, 'substr_', undefined, context)).toEqual(['function.substr-count', 'function.mb-substr']);
+});
+
+test('should boost results of the extensions of the current page', () => {
+    const results = [
+        result({ id: 'function.mb-substr', name: 'mb_substr', extension: 'mbstring' }, 22),
+        result({ id: 'function.substr-count', name: 'substr_count', extension: 'strings' }, 20),
+    ];
+    const context = { ids: ['function.substr'], extensions: ['strings'] };
+
+    expect(rank(results, 'substr_', undefined, context)).toEqual(['function.substr-count', 'function.mb-substr']);
+});
+
+test('should apply rules matching all of their conditions', () => {
+    const rules = [{ when: { type: 'Class', idPrefix: 'class.date' }, boost: 10 }];
+    const results = [
+        result({ id: 'class.intldateformatter', name: 'IntlDateFormatter', type: 'Class' }, 12),
+        result({ id: 'function.date', name: 'date' }, 11),
+        result({ id: 'class.datetime', name: 'DateTime', type: 'Class' }, 10),
+    ];
+
+    expect(rank(results, 'date', rules)).toEqual([
+        'class.datetime',
+        'class.intldateformatter',
+        'function.date',
+    ]);
+});
+
+test('should reject unknown conditions', () => {
+    const rules = [{ when: { popularity: 'high' }, boost: 10 }];
+
+    expect(() => rank([], 'date', rules)).toThrow('Unknown search ranking condition "popularity"');
+});